@@ -0,0 +1,310 @@
+// Doppler & Aberration Module
+// How a uniform star field looks to an observer moving at β
+
+const STAR_COUNT = 800;
+const SKY_CENTRE = {x: 270, y: 240};
+const SKY_RADIUS = 210; // pixels from straight ahead to straight behind
+const REFERENCE_WAVELENGTH = 550; // nm, green light for the worked example
+
+let beta = 0.5; // v/c
+let gamma = Relativity.gamma(beta);
+let canvas;
+let stars = [];
+let probeAngle = 90; // rest-frame angle θ in degrees
+let showDopplerColors = true;
+let showRestPositions = false;
+
+function setup() {
+    canvas = createCanvas(800, 500);
+    canvas.parent('dopplerCanvas');
+    
+    // The same sky every time the page loads
+    createStars();
+    
+    // Setup event listeners
+    setupEventListeners();
+    
+    // Initial panel values
+    updateDopplerInfo();
+}
+
+function draw() {
+    background(13, 27, 42);
+    
+    drawSky();
+    drawAberrationPlot(530, 30, 240, 200);
+    drawDopplerScale(530, 300, 240, 16);
+}
+
+function setupEventListeners() {
+    // Velocity slider
+    const velocitySlider = document.getElementById('velocitySlider');
+    velocitySlider.addEventListener('input', function(e) {
+        setBeta(parseFloat(e.target.value));
+        document.getElementById('betaInput').value = beta;
+    });
+    
+    // Direct beta input
+    document.getElementById('betaInput').addEventListener('input', function(e) {
+        let value = parseFloat(e.target.value);
+        if (isNaN(value)) return;
+        if (value < 0 || value >= 1) {
+            value = Math.min(Math.max(value, 0), 0.999);
+            e.target.value = value;
+        }
+        velocitySlider.value = value;
+        setBeta(value);
+    });
+    
+    document.getElementById('probeSlider').addEventListener('input', function(e) {
+        probeAngle = parseFloat(e.target.value);
+        updateDopplerInfo();
+    });
+    
+    document.getElementById('showDopplerColors').addEventListener('change', function(e) {
+        showDopplerColors = e.target.checked;
+    });
+    
+    document.getElementById('showRestPositions').addEventListener('change', function(e) {
+        showRestPositions = e.target.checked;
+    });
+    
+    // Diagram export
+    const legendItems = [
+        {color: [120, 160, 255], label: 'Blueshifted (approaching)'},
+        {color: [255, 90, 70], label: 'Redshifted (receding)'},
+        {color: [255, 215, 0], label: 'Stars at the chosen θ'}
+    ];
+    
+    document.getElementById('exportSVG').addEventListener('click', function() {
+        exportDiagramSVG('doppler-sky', draw, legendItems);
+    });
+    
+    document.getElementById('exportPNG').addEventListener('click', function() {
+        const density = parseInt(document.getElementById('pngScale').value);
+        exportDiagramPNG('doppler-sky', density, draw, legendItems);
+    });
+}
+
+function setBeta(value) {
+    beta = value;
+    gamma = Relativity.gamma(beta);
+    document.getElementById('velocityValue').textContent = (beta * 100).toFixed(0) + '% c';
+    document.getElementById('gammaValue').textContent = gamma.toFixed(3);
+    updateDopplerInfo();
+}
+
+// ===== STAR FIELD =====
+function createStars() {
+    // Uniform over the sphere: cos θ and the azimuth φ are both uniform
+    randomSeed(42);
+    stars = [];
+    for (let i = 0; i < STAR_COUNT; i++) {
+        stars.push({
+            theta: Math.acos(random(-1, 1)),
+            phi: random(TWO_PI),
+            brightness: random(0.4, 1)
+        });
+    }
+}
+
+// Screen position of a direction θ (from straight ahead) and azimuth φ
+function skyPosition(theta, phi) {
+    const r = theta / PI * SKY_RADIUS;
+    return {x: SKY_CENTRE.x + r * Math.cos(phi), y: SKY_CENTRE.y - r * Math.sin(phi)};
+}
+
+// White at D = 1, shading to blue for blueshift and red for redshift (saturating at D = 4 and 1/4)
+function dopplerColor(D) {
+    const t = constrain(Math.log2(D) / 2, -1, 1);
+    const white = color(255, 250, 240);
+    return t >= 0 ? lerpColor(white, color(120, 160, 255), t) : lerpColor(white, color(255, 90, 70), -t);
+}
+
+function drawSky() {
+    push();
+    
+    // Rings every 30° from the direction of motion
+    noFill();
+    stroke(255, 255, 255, 40);
+    strokeWeight(1);
+    for (let angle = 30; angle <= 180; angle += 30) {
+        const r = angle / 180 * SKY_RADIUS;
+        ellipse(SKY_CENTRE.x, SKY_CENTRE.y, 2 * r, 2 * r);
+    }
+    line(SKY_CENTRE.x - SKY_RADIUS, SKY_CENTRE.y, SKY_CENTRE.x + SKY_RADIUS, SKY_CENTRE.y);
+    line(SKY_CENTRE.x, SKY_CENTRE.y - SKY_RADIUS, SKY_CENTRE.x, SKY_CENTRE.y + SKY_RADIUS);
+    
+    // Where the stars sit for an observer at rest
+    if (showRestPositions) {
+        noStroke();
+        fill(150, 150, 150, 90);
+        stars.forEach(star => {
+            const rest = skyPosition(star.theta, star.phi);
+            ellipse(rest.x, rest.y, 2, 2);
+        });
+    }
+    
+    // Aberrated stars, brighter and larger when blueshifted
+    noStroke();
+    stars.forEach(star => {
+        const D = Relativity.dopplerShift(star.theta, beta);
+        const seen = skyPosition(Relativity.aberrationAngle(star.theta, beta), star.phi);
+        const size = constrain(2.5 * D * star.brightness, 1, 7);
+        if (showDopplerColors) {
+            fill(dopplerColor(D));
+        } else {
+            fill(255, 250, 240);
+        }
+        ellipse(seen.x, seen.y, size, size);
+    });
+    
+    // The chosen rest-frame angle: dashed where it would be at rest, solid where it appears
+    const probe = radians(probeAngle);
+    const restDiameter = 2 * probe / PI * SKY_RADIUS;
+    const seenDiameter = 2 * Relativity.aberrationAngle(probe, beta) / PI * SKY_RADIUS;
+    noFill();
+    strokeWeight(1.5);
+    stroke(255, 215, 0, 90);
+    drawingContext.setLineDash([5, 5]);
+    ellipse(SKY_CENTRE.x, SKY_CENTRE.y, restDiameter, restDiameter);
+    drawingContext.setLineDash([]);
+    stroke(255, 215, 0);
+    ellipse(SKY_CENTRE.x, SKY_CENTRE.y, seenDiameter, seenDiameter);
+    
+    // Labels
+    fill(200);
+    noStroke();
+    textSize(11);
+    textAlign(CENTER);
+    text('Ahead', SKY_CENTRE.x, SKY_CENTRE.y - 6);
+    text('90°', SKY_CENTRE.x + SKY_RADIUS / 2 + 14, SKY_CENTRE.y - 4);
+    text('Behind (rim)', SKY_CENTRE.x, SKY_CENTRE.y + SKY_RADIUS + 16);
+    textAlign(LEFT);
+    text(`β = ${beta.toFixed(3)}, γ = ${gamma.toFixed(3)}`, 10, 18);
+    
+    pop();
+}
+
+// ===== PLOTS =====
+// θ' against θ for the current β, with the β = 0 diagonal for comparison
+function drawAberrationPlot(left, top, w, h) {
+    const toPlot = (theta, thetaPrime) => ({x: left + theta / PI * w, y: top + h - thetaPrime / PI * h});
+    
+    push();
+    fill(13, 27, 42, 220);
+    stroke(80);
+    strokeWeight(1);
+    rect(left, top, w, h);
+    
+    stroke(120);
+    drawingContext.setLineDash([4, 4]);
+    line(left, top + h, left + w, top);
+    drawingContext.setLineDash([]);
+    
+    noFill();
+    stroke(64, 224, 208);
+    strokeWeight(2);
+    beginShape();
+    for (let angle = 0; angle <= 180; angle += 2) {
+        const theta = radians(angle);
+        const point = toPlot(theta, Relativity.aberrationAngle(theta, beta));
+        vertex(point.x, point.y);
+    }
+    endShape();
+    
+    // The chosen angle
+    const probe = radians(probeAngle);
+    const marker = toPlot(probe, Relativity.aberrationAngle(probe, beta));
+    noStroke();
+    fill(255, 215, 0);
+    ellipse(marker.x, marker.y, 7, 7);
+    
+    // Labels
+    fill(200);
+    textSize(10);
+    textAlign(LEFT);
+    text("θ' seen against θ at rest", left + 5, top + 12);
+    text('180°', left + 3, top + 24);
+    textAlign(RIGHT);
+    text('θ → 180°', left + w - 3, top + h - 4);
+    pop();
+}
+
+// Color bar for the Doppler factor on a log scale, marking the values straight ahead and behind
+function drawDopplerScale(left, top, w, h) {
+    const toScale = D => left + (constrain(Math.log2(D), -2, 2) + 2) / 4 * w;
+    
+    push();
+    noStroke();
+    for (let i = 0; i < w; i += 2) {
+        fill(dopplerColor(Math.pow(2, i / w * 4 - 2)));
+        rect(left + i, top, 2, h);
+    }
+    
+    fill(200);
+    textSize(10);
+    textAlign(CENTER);
+    [[0.25, '¼'], [0.5, '½'], [1, '1'], [2, '2'], [4, '4']].forEach(([D, label]) => {
+        text(label, toScale(D), top + h + 12);
+    });
+    textAlign(LEFT);
+    text('Doppler factor D = f_seen / f_emitted', left, top - 8);
+    
+    // Current extremes and the chosen angle
+    const markers = [
+        {D: Relativity.dopplerShift(0, beta), label: 'ahead'},
+        {D: Relativity.dopplerShift(PI, beta), label: 'behind'},
+        {D: Relativity.dopplerShift(radians(probeAngle), beta), label: 'θ'}
+    ];
+    stroke(255, 215, 0);
+    strokeWeight(2);
+    markers.forEach((marker, i) => {
+        const x = toScale(marker.D);
+        line(x, top - 3, x, top + h + 3);
+        noStroke();
+        fill(255, 215, 0);
+        textAlign(CENTER);
+        text(marker.label, x, top + h + 26 + 12 * i);
+        stroke(255, 215, 0);
+    });
+    pop();
+}
+
+// ===== PHYSICS PANEL =====
+function updateDopplerInfo() {
+    const ahead = Relativity.dopplerShift(0, beta);
+    const behind = Relativity.dopplerShift(PI, beta);
+    document.getElementById('longitudinalValue').textContent = `${ahead.toFixed(4)} / ${behind.toFixed(4)}`;
+    document.getElementById('longitudinalInfo').innerHTML =
+        `Ahead: ${REFERENCE_WAVELENGTH} nm arrives at ${(REFERENCE_WAVELENGTH / ahead).toFixed(1)} nm (blueshift)<br>` +
+        `Behind: ${REFERENCE_WAVELENGTH} nm arrives at ${(REFERENCE_WAVELENGTH / behind).toFixed(1)} nm (redshift)`;
+    
+    // Transverse depends on which frame calls the light "sideways"
+    const sidewaysSeen = degrees(Math.acos(beta));
+    document.getElementById('transverseValue').textContent = `${(1 / gamma).toFixed(4)} / ${gamma.toFixed(4)}`;
+    document.getElementById('transverseInfo').innerHTML =
+        `Light arriving at right angles to the motion is redshifted by time dilation alone: D = 1/γ = ${(1 / gamma).toFixed(4)}<br>` +
+        `Light sent at right angles in the stars' frame is blueshifted, D = γ = ${gamma.toFixed(4)}, and appears ${sidewaysSeen.toFixed(2)}° from ahead`;
+    
+    // Worked example for the chosen rest-frame angle
+    const theta = radians(probeAngle);
+    const thetaPrime = Relativity.aberrationAngle(theta, beta);
+    const D = Relativity.dopplerShift(theta, beta);
+    const cosine = (Math.cos(theta) + beta) / (1 + beta * Math.cos(theta));
+    document.getElementById('probeValue').textContent = `θ = ${probeAngle}°`;
+    document.getElementById('probeLabel').textContent = `θ = ${probeAngle}°`;
+    document.getElementById('aberrationValue').textContent = `θ' = ${degrees(thetaPrime).toFixed(2)}°`;
+    document.getElementById('aberrationInfo').innerHTML =
+        `cos θ' = (${Math.cos(theta).toFixed(4)} + ${beta.toFixed(3)}) / (1 + ${beta.toFixed(3)} × ${Math.cos(theta).toFixed(4)}) = ${cosine.toFixed(4)}<br>` +
+        `D = ${gamma.toFixed(4)} × (1 + ${beta.toFixed(3)} × ${Math.cos(theta).toFixed(4)}) = ${D.toFixed(4)} ` +
+        `(${D >= 1 ? 'blueshift' : 'redshift'}: ${REFERENCE_WAVELENGTH} nm → ${(REFERENCE_WAVELENGTH / D).toFixed(1)} nm)`;
+    
+    // Share of the sky seen within 30° of straight ahead, against 6.7% at rest
+    const within = stars.filter(star => Relativity.aberrationAngle(star.theta, beta) <= Math.PI / 6).length;
+    const restShare = (1 - Math.cos(Math.PI / 6)) / 2;
+    document.getElementById('headlightValue').textContent = `${(100 * within / stars.length).toFixed(1)}% of stars`;
+    document.getElementById('headlightInfo').innerHTML =
+        `appear within 30° of straight ahead (${(100 * restShare).toFixed(1)}% at rest)<br>` +
+        `The forward half of the sky (θ ≤ 90°) is squeezed into θ' ≤ ${sidewaysSeen.toFixed(2)}°`;
+}
@@ -0,0 +1,255 @@
+// Diagram Export Module
+// SVG and high-resolution PNG export for the p5.js diagrams
+
+// Export the current diagram as a vector SVG file.
+// drawDiagram must only render: it runs an extra time for the export and must not advance animations.
+function exportDiagramSVG(filename, drawDiagram, legendItems) {
+    const pInst = p5.instance;
+    const renderer = pInst._renderer;
+    const realContext = renderer.drawingContext;
+    const svgContext = createSVGContext(width, height, pixelDensity(), realContext);
+    
+    // Point p5 at the recording context, draw one frame, then restore the canvas
+    renderer.drawingContext = svgContext;
+    pInst._setProperty('drawingContext', svgContext);
+    try {
+        renderer.resetMatrix();
+        drawDiagram();
+        drawDiagramLegend(legendItems);
+    } finally {
+        renderer.drawingContext = realContext;
+        pInst._setProperty('drawingContext', realContext);
+        svgContext.copyStyleTo(realContext);
+    }
+    
+    const blob = new Blob([svgContext.toSVG()], {type: 'image/svg+xml'});
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename + '.svg';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Export the current diagram as a PNG rendered at `density` times the canvas size
+function exportDiagramPNG(filename, density, drawDiagram, legendItems) {
+    const originalDensity = pixelDensity();
+    
+    pixelDensity(density);
+    p5.instance._renderer.resetMatrix();
+    drawDiagram();
+    drawDiagramLegend(legendItems);
+    saveCanvas(filename, 'png');
+    
+    // The next frame of the draw loop repaints at the normal density
+    pixelDensity(originalDensity);
+}
+
+// Draw a legend box in the bottom-left corner of the diagram
+function drawDiagramLegend(items) {
+    if (!items || items.length === 0) return;
+    
+    const rowHeight = 18;
+    const boxHeight = items.length * rowHeight + 12;
+    const boxY = height - boxHeight - 10;
+    
+    push();
+    fill(0, 0, 0, 170);
+    stroke(255, 255, 255, 60);
+    strokeWeight(1);
+    rect(10, boxY, 210, boxHeight, 6);
+    
+    textSize(12);
+    textAlign(LEFT, CENTER);
+    items.forEach((item, i) => {
+        const y = boxY + 6 + rowHeight * (i + 0.5);
+        stroke(item.color);
+        strokeWeight(3);
+        line(20, y, 44, y);
+        noStroke();
+        fill(224);
+        text(item.label, 52, y);
+    });
+    pop();
+}
+
+// A stand-in for CanvasRenderingContext2D that records what p5 draws as SVG.
+// It covers the subset of the canvas API used by p5's 2D renderer.
+function createSVGContext(w, h, density, template) {
+    const elements = [];
+    const stack = [];
+    let path = '';
+    let matrix = [1, 0, 0, 1, 0, 0];
+    let dash = [];
+    
+    function apply(x, y) {
+        return {
+            x: matrix[0] * x + matrix[2] * y + matrix[4],
+            y: matrix[1] * x + matrix[3] * y + matrix[5]
+        };
+    }
+    
+    function multiply(a, b, c, d, e, f) {
+        const m = matrix;
+        matrix = [
+            m[0] * a + m[2] * b, m[1] * a + m[3] * b,
+            m[0] * c + m[2] * d, m[1] * c + m[3] * d,
+            m[0] * e + m[2] * f + m[4], m[1] * e + m[3] * f + m[5]
+        ];
+    }
+    
+    function num(value) {
+        return Math.round(value * 100) / 100;
+    }
+    
+    function escape(text) {
+        return String(text).replace(/[&<>"]/g, ch => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'})[ch]);
+    }
+    
+    function lineScale() {
+        return Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+    }
+    
+    const ctx = {
+        canvas: template.canvas,
+        fillStyle: template.fillStyle,
+        strokeStyle: template.strokeStyle,
+        lineWidth: template.lineWidth,
+        lineCap: template.lineCap,
+        lineJoin: template.lineJoin,
+        font: template.font,
+        textAlign: template.textAlign,
+        textBaseline: template.textBaseline,
+        globalAlpha: 1,
+        
+        save() {
+            stack.push({
+                matrix: matrix.slice(), dash: dash.slice(),
+                fillStyle: ctx.fillStyle, strokeStyle: ctx.strokeStyle, lineWidth: ctx.lineWidth,
+                font: ctx.font, textAlign: ctx.textAlign, textBaseline: ctx.textBaseline
+            });
+        },
+        restore() {
+            const state = stack.pop();
+            if (!state) return;
+            matrix = state.matrix;
+            dash = state.dash;
+            Object.assign(ctx, {
+                fillStyle: state.fillStyle, strokeStyle: state.strokeStyle, lineWidth: state.lineWidth,
+                font: state.font, textAlign: state.textAlign, textBaseline: state.textBaseline
+            });
+        },
+        
+        setTransform(a, b, c, d, e, f) { matrix = [a, b, c, d, e, f]; },
+        resetTransform() { matrix = [1, 0, 0, 1, 0, 0]; },
+        transform(a, b, c, d, e, f) { multiply(a, b, c, d, e, f); },
+        translate(x, y) { multiply(1, 0, 0, 1, x, y); },
+        scale(x, y) { multiply(x, 0, 0, y, 0, 0); },
+        rotate(angle) { multiply(Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0); },
+        
+        setLineDash(segments) { dash = segments.slice(); },
+        getLineDash() { return dash.slice(); },
+        
+        beginPath() { path = ''; },
+        moveTo(x, y) {
+            const p = apply(x, y);
+            path += `M${num(p.x)} ${num(p.y)}`;
+        },
+        lineTo(x, y) {
+            const p = apply(x, y);
+            path += `L${num(p.x)} ${num(p.y)}`;
+        },
+        bezierCurveTo(x1, y1, x2, y2, x, y) {
+            const p1 = apply(x1, y1);
+            const p2 = apply(x2, y2);
+            const p = apply(x, y);
+            path += `C${num(p1.x)} ${num(p1.y)} ${num(p2.x)} ${num(p2.y)} ${num(p.x)} ${num(p.y)}`;
+        },
+        quadraticCurveTo(x1, y1, x, y) {
+            const p1 = apply(x1, y1);
+            const p = apply(x, y);
+            path += `Q${num(p1.x)} ${num(p1.y)} ${num(p.x)} ${num(p.y)}`;
+        },
+        // Rounded corners are drawn square; p5 only uses arcTo for rounded rects
+        arcTo(x1, y1) { ctx.lineTo(x1, y1); },
+        arc(x, y, r, start, end, counterclockwise) {
+            ctx.ellipse(x, y, r, r, 0, start, end, counterclockwise);
+        },
+        ellipse(x, y, rx, ry, rotation, start, end, counterclockwise) {
+            // Flatten into line segments so any transform applies exactly
+            let sweep = end - start;
+            if (counterclockwise && sweep > 0) sweep -= 2 * Math.PI;
+            if (!counterclockwise && sweep < 0) sweep += 2 * Math.PI;
+            const steps = Math.max(8, Math.ceil(Math.abs(sweep) / (Math.PI / 24)));
+            for (let i = 0; i <= steps; i++) {
+                const t = start + sweep * i / steps;
+                const ex = rx * Math.cos(t);
+                const ey = ry * Math.sin(t);
+                const px = x + ex * Math.cos(rotation) - ey * Math.sin(rotation);
+                const py = y + ex * Math.sin(rotation) + ey * Math.cos(rotation);
+                if (i === 0 && path === '') ctx.moveTo(px, py);
+                else ctx.lineTo(px, py);
+            }
+        },
+        rect(x, y, rw, rh) {
+            ctx.moveTo(x, y);
+            ctx.lineTo(x + rw, y);
+            ctx.lineTo(x + rw, y + rh);
+            ctx.lineTo(x, y + rh);
+            ctx.closePath();
+        },
+        closePath() { path += 'Z'; },
+        
+        fill() {
+            if (path) elements.push(`<path d="${path}" fill="${ctx.fillStyle}" stroke="none"/>`);
+        },
+        stroke() {
+            if (!path) return;
+            const dashAttr = dash.length ? ` stroke-dasharray="${dash.map(d => num(d * lineScale())).join(' ')}"` : '';
+            elements.push(`<path d="${path}" fill="none" stroke="${ctx.strokeStyle}" ` +
+                `stroke-width="${num(ctx.lineWidth * lineScale())}" stroke-linecap="${ctx.lineCap}"${dashAttr}/>`);
+        },
+        fillRect(x, y, rw, rh) {
+            const saved = path;
+            path = '';
+            ctx.rect(x, y, rw, rh);
+            ctx.fill();
+            path = saved;
+        },
+        strokeRect(x, y, rw, rh) {
+            const saved = path;
+            path = '';
+            ctx.rect(x, y, rw, rh);
+            ctx.stroke();
+            path = saved;
+        },
+        clearRect() {},
+        clip() {},
+        
+        fillText(text, x, y) {
+            const anchor = {left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end'}[ctx.textAlign] || 'start';
+            const baseline = {top: 'hanging', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge'}[ctx.textBaseline] || 'auto';
+            elements.push(`<text x="${num(x)}" y="${num(y)}" transform="matrix(${matrix.map(num).join(' ')})" ` +
+                `style="font: ${ctx.font}" fill="${ctx.fillStyle}" text-anchor="${anchor}" dominant-baseline="${baseline}">${escape(text)}</text>`);
+        },
+        strokeText() {},
+        measureText(text) {
+            const size = parseFloat((ctx.font.match(/([\d.]+)px/) || [0, 12])[1]);
+            return {width: String(text).length * size * 0.6};
+        },
+        
+        // Keep the real canvas consistent with the styles p5 believes are applied
+        copyStyleTo(target) {
+            ['fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'font', 'textAlign', 'textBaseline']
+                .forEach(key => { target[key] = ctx[key]; });
+            target.setLineDash(dash);
+        },
+        
+        toSVG() {
+            return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+                `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}" viewBox="0 0 ${w * density} ${h * density}">\n` +
+                elements.join('\n') + '\n</svg>\n';
+        }
+    };
+    
+    return ctx;
+}
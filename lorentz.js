@@ -1,15 +1,38 @@
 // Lorentz Transformer Module
 // Interactive Lorentz transformation calculator
 
-let c = 299792458; // Speed of light in m/s
+// Unit systems, each measured in light-seconds and seconds.
+// Events are stored in light-seconds and seconds (c = 1) and converted for display.
+const unitSystems = {
+    natural: {length: '', time: '', lightSeconds: 1, seconds: 1},
+    metresSeconds: {length: 'm', time: 's', lightSeconds: 1 / Relativity.C, seconds: 1},
+    lightSeconds: {length: 'ls', time: 's', lightSeconds: 1, seconds: 1},
+    kmMicroseconds: {length: 'km', time: 'µs', lightSeconds: 1000 / Relativity.C, seconds: 1e-6},
+    lightYears: {length: 'ly', time: 'yr', lightSeconds: 31557600, seconds: 31557600} // Julian year
+};
+
+let units = unitSystems.natural;
+let c = 1; // Speed of light in the selected units
 let beta = 0.8; // v/c
-let gamma = 1 / Math.sqrt(1 - beta * beta);
+let gamma = Relativity.gamma(beta);
 let history = [];
 let canvas;
 let events = [];
 let currentPreset = 'custom';
 let isAnimating = false;
 let animationTime = 0;
+let dragScale = null; // diagram scale held fixed while events are dragged
+let activeDrags = 0;
+let mouseGrab = null; // drag started by the mouse, if any
+let boost3DView = null; // 'single' or 'composed' once the 3D boost panel has been used
+let objectVelocity = 0.7; // u/c of the object in the velocity addition tool
+let showVelocityAddition = true;
+
+// Particles for the four-momentum panel, in MeV with c = 1; x and y are β or p components
+let particles = [
+    {label: 'p (beam)', mass: 938.272, mode: 'beta', x: 0.8, y: 0},
+    {label: 'p (target)', mass: 938.272, mode: 'beta', x: 0, y: 0}
+];
 
 function setup() {
     canvas = createCanvas(800, 400);
@@ -18,6 +41,9 @@ function setup() {
     // Setup event listeners
     setupEventListeners();
     
+    // Fingers and pens get their own handlers so several events can be dragged at once
+    setupPointerCanvas(canvas.elt, {press: pressDiagram, actionsAt: diagramActionsAt}, ['touch', 'pen']);
+    
     // Initialize events array
     events.push({
         x: 5,
@@ -27,15 +53,12 @@ function setup() {
     });
     
     // Initial calculation
+    renderParticleEditor();
     calculateTransformation();
 }
 
 function draw() {
-    // Dark background
-    background(13, 27, 42);
-    
-    // Draw visualization
-    drawSpacetimeDiagram();
+    drawScene();
     
     // Animation effect
     if (isAnimating) {
@@ -47,6 +70,15 @@ function draw() {
     }
 }
 
+// Renders without touching the animation state, so exports can call it too
+function drawScene() {
+    // Dark background
+    background(13, 27, 42);
+    
+    // Draw visualization
+    drawSpacetimeDiagram();
+}
+
 function setupEventListeners() {
     // Calculate button
     document.getElementById('calculateBtn').addEventListener('click', calculateTransformation);
@@ -55,13 +87,16 @@ function setupEventListeners() {
     const velocitySlider = document.getElementById('velocitySlider');
     velocitySlider.addEventListener('input', function(e) {
         beta = parseFloat(e.target.value);
-        gamma = 1 / Math.sqrt(1 - beta * beta);
+        gamma = Relativity.gamma(beta);
         document.getElementById('velocityValue').textContent = (beta * 100).toFixed(0) + '% c';
         document.getElementById('betaValue').textContent = beta.toFixed(3);
         document.getElementById('gammaValue').textContent = gamma.toFixed(3);
         
         if (currentPreset === 'custom') {
             calculateTransformation();
+        } else {
+            // Presets keep their coordinates, but u' still follows the frame velocity
+            updateVelocityAddition();
         }
     });
     
@@ -72,7 +107,7 @@ function setupEventListeners() {
             beta = 0.99 * Math.sign(beta);
             e.target.value = beta;
         }
-        gamma = 1 / Math.sqrt(1 - beta * beta);
+        gamma = Relativity.gamma(beta);
         velocitySlider.value = Math.abs(beta);
         document.getElementById('velocityValue').textContent = (Math.abs(beta) * 100).toFixed(0) + '% c';
         document.getElementById('betaValue').textContent = beta.toFixed(3);
@@ -80,6 +115,9 @@ function setupEventListeners() {
         
         if (currentPreset === 'custom') {
             calculateTransformation();
+        } else {
+            // Presets keep their coordinates, but u' still follows the frame velocity
+            updateVelocityAddition();
         }
     });
     
@@ -96,6 +134,18 @@ function setupEventListeners() {
         }
     });
     
+    // Unit system: re-express the entered event in the new units
+    document.getElementById('unitSystem').addEventListener('change', function(e) {
+        const x = parseFloat(document.getElementById('inputX').value) || 0;
+        const t = parseFloat(document.getElementById('inputT').value) || 0;
+        const stored = fromUnits(x, t);
+        setUnits(e.target.value);
+        const converted = toUnits(stored);
+        document.getElementById('inputX').value = roundForInput(converted.x);
+        document.getElementById('inputT').value = roundForInput(converted.t);
+        calculateTransformation();
+    });
+    
     // Swap frames button
     document.getElementById('swapFramesBtn').addEventListener('click', function() {
         // Get current outputs
@@ -103,13 +153,13 @@ function setupEventListeners() {
         let tPrime = parseFloat(document.getElementById('outputT').textContent);
         
         // Swap inputs with outputs (inverse transformation)
-        document.getElementById('inputX').value = xPrime.toFixed(2);
-        document.getElementById('inputT').value = tPrime.toFixed(2);
+        document.getElementById('inputX').value = roundForInput(xPrime);
+        document.getElementById('inputT').value = roundForInput(tPrime);
         beta = -beta; // Reverse velocity for inverse transform
         velocitySlider.value = Math.abs(beta);
         document.getElementById('velocityValue').textContent = (Math.abs(beta) * 100).toFixed(0) + '% c';
         document.getElementById('betaValue').textContent = beta.toFixed(3);
-        gamma = 1 / Math.sqrt(1 - beta * beta);
+        gamma = Relativity.gamma(beta);
         document.getElementById('gammaValue').textContent = gamma.toFixed(3);
         
         calculateTransformation();
@@ -125,7 +175,7 @@ function setupEventListeners() {
         velocitySlider.value = Math.abs(beta);
         document.getElementById('velocityValue').textContent = (Math.abs(beta) * 100).toFixed(0) + '% c';
         document.getElementById('betaValue').textContent = beta.toFixed(3);
-        gamma = 1 / Math.sqrt(1 - beta * beta);
+        gamma = Relativity.gamma(beta);
         document.getElementById('gammaValue').textContent = gamma.toFixed(3);
         currentPreset = 'custom';
         selectPreset('custom');
@@ -142,14 +192,15 @@ function setupEventListeners() {
     
     // Add event button
     document.getElementById('addEventBtn').addEventListener('click', function() {
-        const x = parseFloat(prompt("Enter x coordinate:", "3"));
-        const t = parseFloat(prompt("Enter t coordinate:", "1"));
+        const x = parseFloat(prompt(`Enter x coordinate${unitHint(units.length)}:`, "3"));
+        const t = parseFloat(prompt(`Enter t coordinate${unitHint(units.time)}:`, "1"));
         const label = prompt("Enter event label:", "Event " + (events.length + 1));
         
         if (!isNaN(x) && !isNaN(t)) {
+            const stored = fromUnits(x, t);
             events.push({
-                x: x,
-                t: t,
+                x: stored.x,
+                t: stored.t,
                 label: label,
                 color: [Math.random() * 255, Math.random() * 255, Math.random() * 255]
             });
@@ -162,6 +213,103 @@ function setupEventListeners() {
         events = [events[0]]; // Keep first event
         calculateTransformation();
     });
+    
+    // General 3D boost
+    document.getElementById('applyBoost3DBtn').addEventListener('click', function() {
+        boost3DView = 'single';
+        updateBoost3D();
+    });
+    
+    document.getElementById('composeBoostsBtn').addEventListener('click', function() {
+        boost3DView = 'composed';
+        updateBoost3D();
+    });
+    
+    // Four-momentum panel: edits apply as they are typed
+    const particleEditor = document.getElementById('particleEditor');
+    particleEditor.addEventListener('input', function(e) {
+        const row = e.target.closest('tr[data-index]');
+        if (!row) return;
+        const particle = particles[parseInt(row.dataset.index)];
+        const field = e.target.dataset.field;
+        
+        if (field === 'label' || field === 'mode') {
+            particle[field] = e.target.value;
+            if (field === 'label') renderThresholdSelects();
+        } else {
+            const value = parseFloat(e.target.value);
+            if (isNaN(value)) return; // Wait until the number is complete
+            particle[field] = value;
+        }
+        updateMomentum();
+    });
+    
+    particleEditor.addEventListener('change', function(e) {
+        // Selects fire change rather than input in some browsers
+        if (e.target.dataset.field !== 'mode') return;
+        const row = e.target.closest('tr[data-index]');
+        particles[parseInt(row.dataset.index)].mode = e.target.value;
+        updateMomentum();
+    });
+    
+    particleEditor.addEventListener('click', function(e) {
+        if (!e.target.classList.contains('delete-particle')) return;
+        const row = e.target.closest('tr[data-index]');
+        particles.splice(parseInt(row.dataset.index), 1);
+        renderParticleEditor();
+        updateMomentum();
+    });
+    
+    document.getElementById('addParticleBtn').addEventListener('click', function() {
+        particles.push({label: 'Particle ' + (particles.length + 1), mass: 139.570, mode: 'beta', x: 0, y: 0});
+        renderParticleEditor();
+        updateMomentum();
+    });
+    
+    document.getElementById('clearParticlesBtn').addEventListener('click', function() {
+        particles = [];
+        renderParticleEditor();
+        updateMomentum();
+    });
+    
+    ['momentumFrame', 'thresholdProjectile', 'thresholdTarget'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateMomentum);
+    });
+    document.getElementById('productMasses').addEventListener('input', updateMomentum);
+    
+    // Velocity addition
+    document.getElementById('objectVelocity').addEventListener('input', function(e) {
+        const value = parseFloat(e.target.value);
+        if (isNaN(value)) return;
+        if (Math.abs(value) >= 1) {
+            alert('The object must move slower than light: enter u/c between -0.999 and 0.999');
+            e.target.value = objectVelocity;
+            return;
+        }
+        objectVelocity = value;
+        updateVelocityAddition();
+    });
+    
+    document.getElementById('showVelocityAddition').addEventListener('change', function(e) {
+        showVelocityAddition = e.target.checked;
+    });
+    
+    // Diagram export
+    const legendItems = [
+        {color: [0, 255, 0], label: 'S Frame (Stationary)'},
+        {color: [255, 100, 100], label: "S' Frame (Moving)"},
+        {color: [255, 255, 0], label: 'Light Cone'},
+        {color: [79, 195, 247], label: "Object worldline: S solid, S' dashed"}
+    ];
+    
+    document.getElementById('exportSvgBtn').addEventListener('click', function() {
+        exportDiagramSVG('lorentz-diagram', drawScene, legendItems);
+    });
+    
+    document.getElementById('exportPngBtn').addEventListener('click', function() {
+        const density = parseInt(document.getElementById('pngScale').value);
+        exportDiagramPNG('lorentz-diagram', density, drawScene, legendItems);
+    });
 }
 
 function selectPreset(preset) {
@@ -206,7 +354,7 @@ function selectPreset(preset) {
         velocitySlider.value = Math.abs(beta);
         document.getElementById('velocityValue').textContent = (Math.abs(beta) * 100).toFixed(0) + '% c';
         document.getElementById('betaValue').textContent = beta.toFixed(3);
-        gamma = 1 / Math.sqrt(1 - beta * beta);
+        gamma = Relativity.gamma(beta);
         document.getElementById('gammaValue').textContent = gamma.toFixed(3);
         calculateTransformation();
     }
@@ -218,12 +366,13 @@ function calculateTransformation() {
     const t = parseFloat(document.getElementById('inputT').value) || 0;
     
     // Calculate Lorentz transformation
-    const xPrime = gamma * (x - beta * c * t);
-    const tPrime = gamma * (t - (beta / c) * x);
+    const primed = Relativity.lorentzTransform(x, t, beta * c, c);
+    const xPrime = primed.x;
+    const tPrime = primed.t;
     
     // Update output displays
-    document.getElementById('outputX').textContent = xPrime.toFixed(6);
-    document.getElementById('outputT').textContent = tPrime.toFixed(6);
+    document.getElementById('outputX').textContent = formatValue(xPrime, 6);
+    document.getElementById('outputT').textContent = formatValue(tPrime, 6);
     
     // Display step-by-step calculation
     displayCalculationSteps(x, t, xPrime, tPrime);
@@ -231,6 +380,12 @@ function calculateTransformation() {
     // Update event transformations
     updateEventTransformations();
     
+    // Update four-momenta, which may be shown in S'
+    updateMomentum();
+    
+    // Update the object's velocity seen from S'
+    updateVelocityAddition();
+    
     // Add to history
     addToHistory(x, t, xPrime, tPrime);
 }
@@ -247,19 +402,20 @@ function displayCalculationSteps(x, t, xPrime, tPrime) {
         <div class="step">
             <strong>Step 2: Lorentz Transformation for x'</strong><br>
             x' = γ(x - βct)<br>
-            x' = ${gamma.toFixed(3)} × (${x.toFixed(3)} - ${beta.toFixed(3)} × ${c.toExponential(2)} × ${t.toFixed(3)})<br>
-            x' = ${xPrime.toFixed(6)} m
+            x' = ${gamma.toFixed(3)} × (${formatValue(x, 3)} - ${beta.toFixed(3)} × ${formatValue(c, 3)} × ${formatValue(t, 3)})<br>
+            x' = ${withUnit(formatValue(xPrime, 6), units.length)}
         </div>
         <div class="step">
             <strong>Step 3: Lorentz Transformation for t'</strong><br>
             t' = γ(t - βx/c)<br>
-            t' = ${gamma.toFixed(3)} × (${t.toFixed(3)} - ${beta.toFixed(3)} × ${x.toFixed(3)} / ${c.toExponential(2)})<br>
-            t' = ${tPrime.toFixed(6)} s
+            t' = ${gamma.toFixed(3)} × (${formatValue(t, 3)} - ${beta.toFixed(3)} × ${formatValue(x, 3)} / ${formatValue(c, 3)})<br>
+            t' = ${withUnit(formatValue(tPrime, 6), units.time)}
         </div>
         <div class="step">
             <strong>Key Parameters:</strong><br>
+            c = ${withUnit(formatValue(c, 6), speedUnit())}<br>
             β = v/c = ${beta.toFixed(3)}<br>
-            v = ${(beta * c).toExponential(2)} m/s<br>
+            v = ${withUnit(formatValue(beta * c, 3), speedUnit())}<br>
             γ = ${gamma.toFixed(3)}<br>
             ${gamma > 1 ? `Time dilation factor: ${gamma.toFixed(3)}` : ''}<br>
             ${gamma > 1 ? `Length contraction factor: 1/γ = ${(1/gamma).toFixed(3)}` : ''}
@@ -272,26 +428,32 @@ function updateEventTransformations() {
     eventsDiv.innerHTML = '<h4>Transformed Events:</h4>';
     
     events.forEach((event, index) => {
-        const xPrime = gamma * (event.x - beta * c * event.t);
-        const tPrime = gamma * (event.t - (beta / c) * event.x);
+        const shown = toUnits(event);
+        const primed = Relativity.lorentzTransform(shown.x, shown.t, beta * c, c);
+        const xPrime = withUnit(formatValue(primed.x, 2), units.length);
+        const tPrime = withUnit(formatValue(primed.t, 2), units.time);
         
         eventsDiv.innerHTML += `
             <div class="event-item" style="border-left: 4px solid rgb(${event.color.join(',')})">
-                <strong>${event.label}:</strong><br>
-                S: (${event.x.toFixed(2)} m, ${event.t.toFixed(2)} s)<br>
-                S': (${xPrime.toFixed(2)} m, ${tPrime.toFixed(2)} s)<br>
-                Δt' = ${tPrime.toFixed(2)} s, Δx' = ${xPrime.toFixed(2)} m
+                <strong>${escapeHtml(event.label)}:</strong><br>
+                S: (${withUnit(formatValue(shown.x, 2), units.length)}, ${withUnit(formatValue(shown.t, 2), units.time)})<br>
+                S': (${xPrime}, ${tPrime})<br>
+                Δt' = ${tPrime}, Δx' = ${xPrime}
             </div>
         `;
     });
+    
+    // Keep the 3D boost results in step with the events and units
+    updateBoost3D();
 }
 
 function addToHistory(x, t, xPrime, tPrime) {
+    // Stored in light-seconds and seconds so a later change of units re-renders it
     const entry = {
         timestamp: new Date().toLocaleTimeString(),
         beta: beta,
-        input: {x: x, t: t},
-        output: {x: xPrime, t: tPrime}
+        input: fromUnits(x, t),
+        output: fromUnits(xPrime, tPrime)
     };
     
     history.unshift(entry); // Add to beginning
@@ -301,17 +463,81 @@ function addToHistory(x, t, xPrime, tPrime) {
     const historyDiv = document.getElementById('history');
     historyDiv.innerHTML = '<h4>Recent Calculations:</h4>';
     history.forEach(entry => {
+        const input = toUnits(entry.input);
+        const output = toUnits(entry.output);
         historyDiv.innerHTML += `
             <div class="history-entry">
                 <small>${entry.timestamp} | β=${entry.beta.toFixed(2)}</small><br>
-                S: (${entry.input.x.toFixed(2)}, ${entry.input.t.toFixed(2)}) → 
-                S': (${entry.output.x.toFixed(2)}, ${entry.output.t.toFixed(2)})
+                S: (${formatValue(input.x, 2)}, ${formatValue(input.t, 2)}) → 
+                S': (${formatValue(output.x, 2)}, ${formatValue(output.t, 2)})
             </div>
         `;
     });
 }
 
+// ===== UNITS =====
+function setUnits(key) {
+    units = unitSystems[key];
+    c = units.seconds / units.lightSeconds;
+    document.querySelectorAll('.length-unit').forEach(span => span.textContent = units.length);
+    document.querySelectorAll('.time-unit').forEach(span => span.textContent = units.time);
+}
+
+// Stored event (light-seconds, seconds) in the selected units
+function toUnits(event) {
+    return {x: event.x / units.lightSeconds, t: event.t / units.seconds};
+}
+
+function fromUnits(x, t) {
+    return {x: x * units.lightSeconds, t: t * units.seconds};
+}
+
+function speedUnit() {
+    return units.length ? `${units.length}/${units.time}` : '';
+}
+
+function withUnit(text, unit) {
+    return unit ? `${text} ${unit}` : text;
+}
+
+function unitHint(unit) {
+    return unit ? ` (${unit})` : '';
+}
+
+function formatValue(value, digits) {
+    // Switch to scientific notation for values that fixed decimals would hide
+    const size = Math.abs(value);
+    if (size !== 0 && (size >= 1e6 || size < Math.pow(10, -digits))) {
+        return value.toExponential(Math.min(digits, 4));
+    }
+    return value.toFixed(digits);
+}
+
+function roundForInput(value) {
+    return parseFloat(value.toPrecision(12));
+}
+
+function diagramScale() {
+    // Pixels per length unit; x and ct share it so light rays stay at 45°
+    if (dragScale !== null) return dragScale;
+    let extent = 0;
+    events.forEach(event => {
+        const primed = Relativity.boost(event.x, event.t, beta);
+        extent = Math.max(extent, Math.abs(event.x), Math.abs(event.t), Math.abs(primed.x), Math.abs(primed.ct));
+    });
+    return 300 / niceExtent(extent / units.lightSeconds);
+}
+
+function niceExtent(extent) {
+    // Everyday numbers keep 30 px per unit; others round up to 1, 2 or 5 × 10ⁿ
+    if (!(extent > 0)) return 10;
+    if (extent >= 1 && extent <= 10) return 10;
+    const power = Math.pow(10, Math.floor(Math.log10(extent)));
+    return [1, 2, 5, 10].map(step => step * power).find(step => step >= extent * (1 - 1e-9));
+}
+
 function drawSpacetimeDiagram() {
+    const scale = diagramScale();
     push();
     translate(50, height - 50);
     
@@ -353,17 +579,30 @@ function drawSpacetimeDiagram() {
     strokeWeight(1);
     line(-300, -300, 300, 300); // 45° line
     
+    // Object from the velocity addition tool, passing through the origin
+    if (showVelocityAddition) {
+        drawObjectWorldlines();
+    }
+    
     // Draw events
     events.forEach(event => {
-        // S frame coordinates
-        const xS = event.x * 30;
-        const tS = -event.t * 30;
+        // S frame coordinates, with ct in the selected length unit
+        const screen = eventScreenPosition(event, scale);
+        const xS = screen.x - 50;
+        const tS = screen.y - (height - 50);
         
         // S' frame coordinates
-        const xPrime = gamma * (event.x - beta * event.t);
-        const tPrime = gamma * (event.t - beta * event.x);
-        const xSprime = xPrime * 30;
-        const tSprime = -tPrime * 30;
+        const primed = Relativity.boost(event.x, event.t, beta);
+        const xSprime = primed.x / units.lightSeconds * scale;
+        const tSprime = -primed.ct / units.lightSeconds * scale;
+        
+        // Light cone through the event, switched on from its context menu
+        if (event.showCone) {
+            stroke(event.color[0], event.color[1], event.color[2], 160);
+            strokeWeight(1);
+            line(xS - 400, tS + 400, xS + 400, tS - 400);
+            line(xS + 400, tS + 400, xS - 400, tS - 400);
+        }
         
         // Draw S frame event
         fill(event.color[0], event.color[1], event.color[2]);
@@ -402,6 +641,512 @@ function drawSpacetimeDiagram() {
     fill(255, 255, 0);
     text("Light cone (x = ±ct)", 200, -200);
     
+    // Grid squares are 60 px whatever the units
+    fill(180);
+    textAlign(RIGHT);
+    text(`Grid: ${withUnit(formatValue(60 / scale, 2), units.length || 'unit')} of x or ct`, width - 60, -(height - 70));
+    
+    pop();
+    
+    if (showVelocityAddition) {
+        drawVelocityAdditionPlot(480, 40, 280, 200);
+    }
+}
+
+// Screen position of an event in the diagram drawn by drawSpacetimeDiagram
+function eventScreenPosition(event, scale = diagramScale()) {
+    return {
+        x: 50 + event.x / units.lightSeconds * scale,
+        y: height - 50 - event.t / units.lightSeconds * scale
+    };
+}
+
+function diagramEventAt(x, y, pointerType) {
+    let nearest = null;
+    let nearestDistance = pointerHitRadius(pointerType);
+    events.forEach(event => {
+        const screen = eventScreenPosition(event);
+        const d = dist(x, y, screen.x, screen.y);
+        if (d < nearestDistance) {
+            nearest = event;
+            nearestDistance = d;
+        }
+    });
+    return nearest;
+}
+
+function pressDiagram(x, y, pointerType) {
+    const event = diagramEventAt(x, y, pointerType);
+    if (!event) return null;
+    
+    // Hold the scale so the plot doesn't rescale under the finger
+    dragScale = diagramScale();
+    activeDrags++;
+    return {
+        move(px, py) {
+            // Stored ct in light-seconds equals t in seconds
+            event.x = (px - 50) / dragScale * units.lightSeconds;
+            event.t = (height - 50 - py) / dragScale * units.lightSeconds;
+            updateEventTransformations();
+        },
+        end() {
+            activeDrags--;
+            if (activeDrags === 0) dragScale = null;
+        }
+    };
+}
+
+function diagramActionsAt(x, y, pointerType) {
+    const event = diagramEventAt(x, y, pointerType);
+    if (!event) return null;
+    
+    return [
+        {label: `Delete ${event.label}`, run() {
+            if (events.length === 1) {
+                alert('The diagram needs at least one event.');
+                return;
+            }
+            events = events.filter(other => other !== event);
+            updateEventTransformations();
+        }},
+        {label: 'Rename…', run() {
+            const label = prompt('New label for this event:', event.label);
+            if (label === null || label.trim() === '') return;
+            event.label = label.trim();
+            updateEventTransformations();
+        }},
+        {label: event.showCone ? 'Hide light cone' : 'Show light cone', run() {
+            event.showCone = !event.showCone;
+        }}
+    ];
+}
+
+// The mouse drags through p5 so it shares the grab that fingers and pens get
+function mousePressed() {
+    if (mouseButton === RIGHT || mouseX < 0 || mouseX > width || mouseY < 0 || mouseY > height) return;
+    mouseGrab = pressDiagram(mouseX, mouseY, 'mouse');
+}
+
+function mouseDragged() {
+    if (mouseGrab) mouseGrab.move(mouseX, mouseY);
+}
+
+function mouseReleased() {
+    if (mouseGrab) mouseGrab.end();
+    mouseGrab = null;
+}
+
+// Touches on the canvas are handled by the pointer handlers;
+// returning false stops p5 from also treating them as mouse presses
+function touchStarted(e) {
+    if (e && e.target === canvas.elt) return false;
+}
+
+function touchMoved(e) {
+    if (e && e.target === canvas.elt) return false;
+}
+
+function touchEnded(e) {
+    if (e && e.target === canvas.elt) return false;
+}
+
+// Labels are typed by the user, so escape them before they go into innerHTML
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+// ===== GENERAL 3D BOOST =====
+function readVector(ids) {
+    return ids.map(id => parseFloat(document.getElementById(id).value) || 0);
+}
+
+function vectorLength(v) {
+    return Math.hypot(v[0], v[1], v[2]);
+}
+
+function formatVector(v, digits) {
+    return `(${v.map(component => formatValue(component, digits)).join(', ')})`;
+}
+
+function renderMatrix(matrix) {
+    const rows = matrix.map(row =>
+        `<tr>${row.map(value => `<td style="padding: 2px 8px; text-align: right;">${value.toFixed(4)}</td>`).join('')}</tr>`
+    ).join('');
+    return `<table style="border-left: 2px solid #888; border-right: 2px solid #888; margin: 6px 0; font-family: monospace;">${rows}</table>`;
+}
+
+// Events as [ct, x, y, z] four-vectors in the selected length unit
+function eventFourVector(event) {
+    return Relativity.fourVector(
+        event.t / units.lightSeconds,
+        event.x / units.lightSeconds,
+        (event.y || 0) / units.lightSeconds,
+        (event.z || 0) / units.lightSeconds
+    );
+}
+
+function fourVectorComponents(v) {
+    return [v.ct, v.x, v.y, v.z];
+}
+
+function updateBoost3D() {
+    const stepsDiv = document.getElementById('boostSteps');
+    if (!boost3DView) return;
+    
+    const beta1 = readVector(['boostBx', 'boostBy', 'boostBz']);
+    if (vectorLength(beta1) >= 1) {
+        stepsDiv.innerHTML = `<h4>General 3D Boost:</h4><div class="step">|β| = ${vectorLength(beta1).toFixed(3)} — a frame must move slower than light (|β| < 1)</div>`;
+        return;
+    }
+    
+    if (boost3DView === 'composed') {
+        const beta2 = readVector(['boost2Bx', 'boost2By', 'boost2Bz']);
+        if (vectorLength(beta2) >= 1) {
+            stepsDiv.innerHTML = `<h4>Composed Boosts:</h4><div class="step">|β₂| = ${vectorLength(beta2).toFixed(3)} — a frame must move slower than light (|β₂| < 1)</div>`;
+            return;
+        }
+        displayComposedBoosts(beta1, beta2);
+        return;
+    }
+    displayBoost3D(beta1);
+}
+
+function displayBoost3D(beta3) {
+    const speed = vectorLength(beta3);
+    const g = Relativity.gamma(speed);
+    const matrix = Relativity.boostMatrix(beta3[0], beta3[1], beta3[2]);
+    const event = Relativity.fourVector(...readVector(['boostCt', 'boostX', 'boostY', 'boostZ']));
+    const primed = Relativity.transformFourVector(matrix, event);
+    
+    const eventRows = events.map(other => {
+        const v = eventFourVector(other);
+        const p = Relativity.transformFourVector(matrix, v);
+        return `${escapeHtml(other.label)}: ${formatVector(fourVectorComponents(v), 2)} → ${formatVector(fourVectorComponents(p), 2)}`;
+    }).join('<br>');
+    
+    document.getElementById('boostSteps').innerHTML = `
+        <h4>General 3D Boost:</h4>
+        <div class="step">
+            <strong>Step 1: Speed and γ</strong><br>
+            |β| = √(βx² + βy² + βz²) = ${speed.toFixed(4)}<br>
+            γ = 1 / √(1 - |β|²) = ${g.toFixed(4)}
+        </div>
+        <div class="step">
+            <strong>Step 2: Boost matrix Λ</strong><br>
+            Λ⁰⁰ = γ, Λ⁰ⁱ = Λⁱ⁰ = -γβⁱ, Λⁱʲ = δⁱʲ + (γ - 1)βⁱβʲ/|β|²
+            ${renderMatrix(matrix)}
+        </div>
+        <div class="step">
+            <strong>Step 3: Apply Λ to (ct, x, y, z)</strong><br>
+            ${formatVector(fourVectorComponents(event), 3)} → ${formatVector(fourVectorComponents(primed), 3)}<br>
+            Interval check: s² = ${formatValue(Relativity.minkowskiDot(event, event), 4)} before, ${formatValue(Relativity.minkowskiDot(primed, primed), 4)} after
+        </div>
+        <div class="step">
+            <strong>All events under Λ (ct, x, y, z):</strong><br>
+            ${eventRows}
+        </div>
+    `;
+}
+
+function displayComposedBoosts(beta1, beta2) {
+    const composed = Relativity.composeBoosts(beta1, beta2);
+    const u = composed.velocity;
+    const degrees = composed.angle * 180 / Math.PI;
+    
+    // Perpendicular boosts have a closed form to compare against
+    let closedForm = '';
+    const dot = beta1[0] * beta2[0] + beta1[1] * beta2[1] + beta1[2] * beta2[2];
+    if (Math.abs(dot) < 1e-12 && vectorLength(beta1) > 0 && vectorLength(beta2) > 0) {
+        const b1 = vectorLength(beta1);
+        const b2 = vectorLength(beta2);
+        const g1 = Relativity.gamma(b1);
+        const g2 = Relativity.gamma(b2);
+        const expected = Math.atan(g1 * g2 * b1 * b2 / (g1 + g2)) * 180 / Math.PI;
+        closedForm = `<br>Perpendicular boosts: tan θ = γ₁γ₂β₁β₂ / (γ₁ + γ₂) gives θ = ${expected.toFixed(3)}°`;
+    }
+    
+    document.getElementById('boostSteps').innerHTML = `
+        <h4>Composed Boosts:</h4>
+        <div class="step">
+            <strong>Step 1: Multiply the boosts</strong><br>
+            Λ = B(β₂)·B(β₁), with β₁ = ${formatVector(beta1, 3)} and β₂ = ${formatVector(beta2, 3)}
+            ${renderMatrix(composed.matrix)}
+            ${composed.angle > 1e-9 ? 'Λ is not symmetric, so it is not a pure boost.' : 'Λ is symmetric: the boosts are collinear and compose into a pure boost.'}
+        </div>
+        <div class="step">
+            <strong>Step 2: Split into boost then rotation, Λ = R·B(u)</strong><br>
+            u = -Λ⁰ⁱ/Λ⁰⁰ = ${formatVector(u, 4)}, |u| = ${vectorLength(u).toFixed(4)}<br>
+            R = Λ·B(-u):
+            ${renderMatrix(composed.rotation)}
+        </div>
+        <div class="step">
+            <strong>Wigner rotation:</strong><br>
+            θ = ${degrees.toFixed(3)}° about ${formatVector(composed.axis, 3)}${closedForm}
+        </div>
+    `;
+}
+
+// ===== FOUR-MOMENTUM =====
+function renderParticleEditor() {
+    const rows = particles.map((particle, index) => `
+        <tr data-index="${index}">
+            <td><input type="text" data-field="label" value="${escapeHtml(particle.label)}" style="width: 80px;"></td>
+            <td><input type="number" data-field="mass" value="${particle.mass}" min="0" step="any" style="width: 70px;"></td>
+            <td>
+                <select data-field="mode">
+                    <option value="beta"${particle.mode === 'beta' ? ' selected' : ''}>β</option>
+                    <option value="momentum"${particle.mode === 'momentum' ? ' selected' : ''}>p</option>
+                </select>
+            </td>
+            <td><input type="number" data-field="x" value="${particle.x}" step="any" style="width: 60px;"></td>
+            <td><input type="number" data-field="y" value="${particle.y}" step="any" style="width: 60px;"></td>
+            <td><button class="btn-small delete-particle" title="Remove particle">✕</button></td>
+        </tr>
+    `);
+    document.getElementById('particleEditor').innerHTML = particles.length === 0 ?
+        '<tr><td>Add a particle to begin</td></tr>' :
+        '<tr><th>Name</th><th>m (MeV/c²)</th><th>Given</th><th>x</th><th>y</th><th></th></tr>' + rows.join('');
+    renderThresholdSelects();
+}
+
+function renderThresholdSelects() {
+    ['thresholdProjectile', 'thresholdTarget'].forEach((id, slot) => {
+        const select = document.getElementById(id);
+        const previous = parseInt(select.value);
+        select.innerHTML = particles.map((particle, index) => `<option value="${index}">${escapeHtml(particle.label)}</option>`).join('');
+        select.value = String(previous < particles.length ? previous : Math.min(slot, particles.length - 1));
+    });
+}
+
+// Lab-frame four-momentum, or null when the entry is not physical
+function particleFourMomentum(particle) {
+    if (!(particle.mass >= 0)) return null;
+    if (particle.mode === 'momentum') {
+        return Relativity.fourMomentumFromMomentum(particle.mass, particle.x, particle.y);
+    }
+    if (Math.hypot(particle.x, particle.y) >= 1 || particle.mass === 0) return null;
+    return Relativity.fourMomentum(particle.mass, particle.x, particle.y);
+}
+
+function formatMomentum(p) {
+    return `E = ${p.ct.toFixed(2)} MeV, p = (${p.x.toFixed(2)}, ${p.y.toFixed(2)}) MeV/c`;
+}
+
+function updateMomentum() {
+    const stepsDiv = document.getElementById('momentumSteps');
+    if (particles.length === 0) {
+        stepsDiv.innerHTML = '';
+        return;
+    }
+    
+    const momenta = particles.map(particleFourMomentum);
+    const invalid = particles.filter((particle, index) => !momenta[index]);
+    if (invalid.length > 0) {
+        stepsDiv.innerHTML = `<h4>Four-Momentum:</h4><div class="step">` +
+            invalid.map(particle => `${escapeHtml(particle.label)}: needs m ≥ 0 and |β| &lt; 1 (give p for a massless particle)`).join('<br>') +
+            `</div>`;
+        return;
+    }
+    
+    // Step 1: each particle in the lab frame
+    const particleLines = particles.map((particle, index) => {
+        const p = momenta[index];
+        const rule = particle.mode === 'momentum' ?
+            `E = √(m² + |p|²)` :
+            `γ = ${Relativity.gamma(Math.hypot(particle.x, particle.y)).toFixed(4)}, E = γm, p = γmβ`;
+        return `${escapeHtml(particle.label)}: ${rule} → ${formatMomentum(p)}`;
+    });
+    
+    // Step 2: total, then the frame chosen for display
+    const total = Relativity.sumFourVectors(momenta);
+    const mass = Relativity.invariantMass(total);
+    // β = p/E needs some energy; with none (every particle massless and at rest) leave it undefined
+    const cmVelocity = total.ct > 0 ? Relativity.centreOfMomentumVelocity(total) : null;
+    const cmSpeed = cmVelocity ? Math.hypot(cmVelocity[0], cmVelocity[1], cmVelocity[2]) : NaN;
+    
+    const frame = document.getElementById('momentumFrame').value;
+    let matrix = null;
+    let frameName = 'S (lab)';
+    if (frame === 'moving') {
+        matrix = Relativity.boostMatrix(beta);
+        frameName = `S' (β = ${beta.toFixed(3)} along x)`;
+    } else if (frame === 'cm' && cmSpeed < 1) {
+        matrix = Relativity.boostMatrix(cmVelocity[0], cmVelocity[1], cmVelocity[2]);
+        frameName = 'the centre-of-momentum frame';
+    }
+    const shown = matrix ? momenta.map(p => Relativity.transformFourVector(matrix, p)) : momenta;
+    const shownTotal = Relativity.sumFourVectors(shown);
+    
+    let cmLine = 'Massless system moving at c: there is no centre-of-momentum frame';
+    if (!cmVelocity) {
+        cmLine = 'The system has no energy: there is no centre-of-momentum frame';
+    } else if (cmSpeed < 1) {
+        cmLine = `β_cm = p/E = (${cmVelocity[0].toFixed(4)}, ${cmVelocity[1].toFixed(4)}), |β_cm| = ${cmSpeed.toFixed(4)}, ` +
+            `γ_cm = ${Relativity.gamma(cmSpeed).toFixed(4)}`;
+    }
+    
+    stepsDiv.innerHTML = `
+        <h4>Four-Momentum:</h4>
+        <div class="step">
+            <strong>Step 1: Four-momentum of each particle in S</strong><br>
+            ${particleLines.join('<br>')}
+        </div>
+        <div class="step">
+            <strong>Step 2: Four-momenta in ${frameName}</strong><br>
+            ${particles.map((particle, index) => `${escapeHtml(particle.label)}: ${formatMomentum(shown[index])}`).join('<br>')}<br>
+            Total: ${formatMomentum(shownTotal)}
+        </div>
+        <div class="step">
+            <strong>Step 3: Invariant mass</strong><br>
+            M = √(E² - |p|²) = √(${total.ct.toFixed(2)}² - ${Math.hypot(total.x, total.y).toFixed(2)}²) = ${mass.toFixed(3)} MeV/c²<br>
+            In ${frameName}: √(${shownTotal.ct.toFixed(2)}² - ${Math.hypot(shownTotal.x, shownTotal.y).toFixed(2)}²) = ${Relativity.invariantMass(shownTotal).toFixed(3)} MeV/c²
+        </div>
+        <div class="step">
+            <strong>Step 4: Centre-of-momentum frame</strong><br>
+            ${cmLine}
+        </div>
+        ${thresholdStep(momenta, mass)}
+    `;
+}
+
+function thresholdStep(momenta, mass) {
+    const projectileIndex = parseInt(document.getElementById('thresholdProjectile').value);
+    const targetIndex = parseInt(document.getElementById('thresholdTarget').value);
+    const products = document.getElementById('productMasses').value
+        .split(',').map(value => parseFloat(value)).filter(value => !isNaN(value));
+    if (products.length === 0 || isNaN(projectileIndex) || isNaN(targetIndex) || projectileIndex === targetIndex) {
+        return '<div class="step"><strong>Reaction threshold:</strong><br>Choose two different particles and list the product masses</div>';
+    }
+    
+    const projectile = particles[projectileIndex];
+    const target = particles[targetIndex];
+    if (!(target.mass > 0)) {
+        return '<div class="step"><strong>Reaction threshold:</strong><br>The target needs a rest mass to sit at rest</div>';
+    }
+    const productMass = products.reduce((sum, value) => sum + value, 0);
+    const threshold = Relativity.thresholdEnergy(projectile.mass, target.mass, products);
+    const available = mass >= productMass - 1e-9 ? 'enough' : 'not enough';
+    
+    return `
+        <div class="step">
+            <strong>Reaction threshold: ${escapeHtml(projectile.label)} + ${escapeHtml(target.label)} (at rest) → ΣM = ${productMass.toFixed(3)} MeV/c²</strong><br>
+            E_th = (ΣM² - m_a² - m_b²) / 2m_b = (${productMass.toFixed(3)}² - ${projectile.mass.toFixed(3)}² - ${target.mass.toFixed(3)}²) / (2 × ${target.mass.toFixed(3)})<br>
+            E_th = ${threshold.toFixed(3)} MeV, kinetic energy T_th = E_th - m_a = ${(threshold - projectile.mass).toFixed(3)} MeV<br>
+            Current beam: E = ${momenta[projectileIndex].ct.toFixed(3)} MeV. With all particles, M = ${mass.toFixed(3)} MeV/c² is ${available} to make the products.
+        </div>
+    `;
+}
+
+// ===== VELOCITY ADDITION =====
+function updateVelocityAddition() {
+    const u = objectVelocity;
+    const uPrime = Relativity.relativeVelocity(u, beta);
+    const galilean = u - beta;
+    document.getElementById('objectVelocityPrime').textContent = uPrime.toFixed(4);
+    
+    // Adding v back to u' must recover u
+    const recovered = Relativity.addVelocities(uPrime, beta);
+    
+    document.getElementById('velocitySteps').innerHTML = `
+        <h4>Velocity Addition:</h4>
+        <div class="step">
+            <strong>Step 1: Relativistic rule</strong><br>
+            u' = (u - v) / (1 - uv/c²) = (${u.toFixed(3)} - ${beta.toFixed(3)}) / (1 - ${u.toFixed(3)} × ${beta.toFixed(3)})<br>
+            u' = ${(u - beta).toFixed(4)} / ${(1 - u * beta).toFixed(4)} = ${uPrime.toFixed(4)}c
+        </div>
+        <div class="step">
+            <strong>Step 2: Galilean rule</strong><br>
+            u' = u - v = ${u.toFixed(3)} - ${beta.toFixed(3)} = ${galilean.toFixed(4)}c<br>
+            ${Math.abs(galilean) >= 1 ? 'Faster than light: the Galilean rule fails here' :
+                `Differs from the relativistic value by ${Math.abs(galilean - uPrime).toFixed(4)}c`}
+        </div>
+        <div class="step">
+            <strong>Step 3: Check by adding the velocities back</strong><br>
+            u = (u' + v) / (1 + u'v/c²) = (${uPrime.toFixed(4)} + ${beta.toFixed(3)}) / (1 + ${uPrime.toFixed(4)} × ${beta.toFixed(3)}) = ${recovered.toFixed(4)}c<br>
+            ${units.length ? `u' = ${withUnit(formatValue(uPrime * c, 4), speedUnit())}` : ''}
+        </div>
+    `;
+}
+
+// Worldline x = u·ct in S and x' = u'·ct' in S', drawn like the events in both frames
+function drawObjectWorldlines() {
+    const uPrime = Relativity.relativeVelocity(objectVelocity, beta);
+    stroke(79, 195, 247);
+    strokeWeight(2);
+    line(0, 0, objectVelocity * 300, -300);
+    
+    drawingContext.setLineDash([6, 4]);
+    line(0, 0, uPrime * 300, -300);
+    drawingContext.setLineDash([]);
+    
+    fill(79, 195, 247);
+    noStroke();
+    textAlign(LEFT);
+    textSize(10);
+    text(`u = ${objectVelocity.toFixed(2)}c`, objectVelocity * 280 + 5, -280);
+    text(`u' = ${uPrime.toFixed(2)}c`, uPrime * 250 + 5, -250);
+}
+
+// Inset plot of u' against v for the current u, relativistic and Galilean
+function drawVelocityAdditionPlot(left, top, w, h) {
+    const toPlot = (v, uPrime) => ({x: left + (v + 1) / 2 * w, y: top + (2 - uPrime) / 4 * h});
+    
+    push();
+    fill(13, 27, 42, 220);
+    stroke(80);
+    strokeWeight(1);
+    rect(left, top, w, h);
+    
+    // Axes, with the light-speed limits u' = ±c dashed
+    stroke(120);
+    const origin = toPlot(0, 0);
+    line(left, origin.y, left + w, origin.y);
+    line(origin.x, top, origin.x, top + h);
+    stroke(255, 255, 0, 100);
+    drawingContext.setLineDash([4, 4]);
+    [1, -1].forEach(limit => line(left, toPlot(0, limit).y, left + w, toPlot(0, limit).y));
+    drawingContext.setLineDash([]);
+    
+    // Galilean rule is a straight line; the relativistic curve stays between ±c
+    noFill();
+    strokeWeight(2);
+    stroke(255, 167, 38);
+    const galileanStart = toPlot(-1, objectVelocity + 1);
+    const galileanEnd = toPlot(1, objectVelocity - 1);
+    line(galileanStart.x, galileanStart.y, galileanEnd.x, galileanEnd.y);
+    
+    stroke(79, 195, 247);
+    beginShape();
+    for (let v = -0.99; v <= 0.99 + 1e-9; v += 0.01) {
+        const point = toPlot(v, Relativity.relativeVelocity(objectVelocity, v));
+        vertex(point.x, point.y);
+    }
+    endShape();
+    
+    // Current frame velocity on both curves
+    noStroke();
+    const relativistic = toPlot(beta, Relativity.relativeVelocity(objectVelocity, beta));
+    const galilean = toPlot(beta, objectVelocity - beta);
+    fill(79, 195, 247);
+    ellipse(relativistic.x, relativistic.y, 7, 7);
+    fill(255, 167, 38);
+    ellipse(galilean.x, galilean.y, 7, 7);
+    
+    // Labels
+    fill(200);
+    textSize(10);
+    textAlign(LEFT);
+    text(`u' against v for u = ${objectVelocity.toFixed(2)}c`, left + 5, top + 12);
+    text('+c', left + 3, toPlot(0, 1).y - 3);
+    text('-c', left + 3, toPlot(0, -1).y - 3);
+    textAlign(RIGHT);
+    text('v → c', left + w - 3, origin.y - 3);
+    fill(79, 195, 247);
+    text('relativistic', left + w - 5, top + h - 18);
+    fill(255, 167, 38);
+    text('Galilean', left + w - 5, top + h - 6);
     pop();
 }
 
@@ -14,7 +14,7 @@ const quizDatabase = {
                     "3.33 years",
                     "2.5 years"
                 ],
-                correct: 2,
+                answer: Relativity.dilatedTime(2, 0.8),
                 explanation: "Using time dilation formula: Δt = Δt₀/√(1 - v²/c²) = 2/√(1 - 0.8²) = 2/0.6 = 3.33 years",
                 formula: "Δt = Δt₀/√(1 - v²/c²) where Δt₀ = proper time",
                 hint: "Remember that moving clocks run slower by factor γ"
@@ -40,7 +40,7 @@ const quizDatabase = {
                     "2.5",
                     "3.0"
                 ],
-                correct: 1,
+                answer: Relativity.gamma(0.866),
                 explanation: "γ = 1/√(1 - v²/c²) = 1/√(1 - 0.75) = 1/√0.25 = 1/0.5 = 2.0",
                 formula: "γ = 1/√(1 - v²/c²)",
                 hint: "Calculate v²/c² = 0.866² = 0.75"
@@ -53,7 +53,7 @@ const quizDatabase = {
                     "15.6 μs",
                     "49.2 μs"
                 ],
-                correct: 3,
+                answer: Relativity.dilatedTime(2.2, 0.998),
                 explanation: "γ = 1/√(1 - 0.998²) = 1/√(1 - 0.996004) = 1/√0.003996 ≈ 1/0.0632 ≈ 15.8. Earth frame half-life = 2.2 × 15.8 ≈ 34.8 μs",
                 formula: "Δt = γ × Δt₀",
                 hint: "First calculate γ for v = 0.998c"
@@ -85,7 +85,7 @@ const quizDatabase = {
                     "125 m",
                     "60 m"
                 ],
-                correct: 1,
+                answer: Relativity.contractedLength(100, 0.6),
                 explanation: "L = L₀√(1 - v²/c²) = 100 × √(1 - 0.36) = 100 × √0.64 = 100 × 0.8 = 80 m",
                 formula: "L = L₀√(1 - v²/c²)",
                 hint: "Moving objects appear shorter in direction of motion"
@@ -124,7 +124,7 @@ const quizDatabase = {
                     "0.866",
                     "0.95"
                 ],
-                correct: 2,
+                answer: Relativity.betaFromGamma(2),
                 explanation: "γ = 2 ⇒ 1/√(1 - v²/c²) = 2 ⇒ √(1 - v²/c²) = 0.5 ⇒ 1 - v²/c² = 0.25 ⇒ v²/c² = 0.75 ⇒ v/c = √0.75 = 0.866",
                 formula: "v/c = √(1 - 1/γ²)",
                 hint: "Solve γ equation for v/c"
@@ -143,8 +143,8 @@ const quizDatabase = {
                     "3.75 s",
                     "4.25 s"
                 ],
-                correct: 1,
-                explanation: "γ = 1/√(1-0.36)=1.25, t' = γ(t - vx/c²)=1.25×(3 - 0.6×2/9e16)≈1.25×3=3.75s. Wait, recalc: Actually vx/c² is negligible at low v, but for exact: t'=1.25×(3 - 0.6×2)=1.25×1.8=2.25s",
+                answer: Relativity.lorentzTransform(2, 3, 0.6 * Relativity.C, Relativity.C).t,
+                explanation: "γ = 1/√(1 - 0.36) = 1.25. The shift vx/c² = 0.6 × 2 m / 3e8 m/s ≈ 4 ns is negligible next to 3 s, so t' = γ(t - vx/c²) ≈ 1.25 × 3 = 3.75 s",
                 formula: "t' = γ(t - vx/c²)",
                 hint: "Calculate γ first, then apply transformation"
             },
@@ -169,7 +169,7 @@ const quizDatabase = {
                     "Lightlike",
                     "Invalid"
                 ],
-                correct: 0,
+                answer: Relativity.classifyInterval(-16),
                 explanation: "Δs² < 0 indicates timelike separation (causally connectable).",
                 formula: "Δs² = Δx² - c²Δt²",
                 hint: "Sign of Δs² determines interval type"
@@ -182,8 +182,8 @@ const quizDatabase = {
                     "0.7c",
                     "0.0c"
                 ],
-                correct: 0,
-                explanation: "u' = (u - v)/(1 - uv/c²) = (0.7 - 0.7)/(1 - 0.49) = 0/0.51 = 0. Actually wait: u' = (0.7 + 0.7)/(1 + 0.49) = 1.4/1.49 = 0.94c",
+                answer: Relativity.relativeVelocity(0.7, 0.7),
+                explanation: "u' = (u - v)/(1 - uv/c²) = (0.7 - 0.7)/(1 - 0.49) = 0/0.51 = 0: the object moves with S', so it is at rest there. 0.94c = (0.7 + 0.7)/(1 + 0.49) would be its speed in S if it moved at 0.7c in S'.",
                 formula: "u' = (u - v)/(1 - uv/c²)",
                 hint: "Use relativistic velocity addition formula"
             },
@@ -272,7 +272,7 @@ const quizDatabase = {
                     "Lightlike",
                     "Cannot determine"
                 ],
-                correct: 1,
+                answer: Relativity.classifyInterval(Relativity.interval(3, Relativity.C * 1e-9)),
                 explanation: "Δs² = 3² - (3e8×1e-9)² = 9 - 0.09 = 8.91 > 0 ⇒ spacelike.",
                 formula: "Δs² = Δx² - c²Δt²",
                 hint: "Calculate Δs² and check sign"
@@ -482,7 +482,7 @@ function loadQuestion() {
         // Check if already answered
         if (userAnswers[currentQuestionIndex] === index) {
             button.classList.add('selected');
-            if (index === question.correct) {
+            if (index === correctOption(question)) {
                 button.classList.add('correct');
             } else {
                 button.classList.add('incorrect');
@@ -514,12 +514,12 @@ function selectAnswer(answerIndex) {
         btn.classList.remove('selected', 'correct', 'incorrect');
         if (index === answerIndex) {
             btn.classList.add('selected');
-            if (index === question.correct) {
+            if (index === correctOption(question)) {
                 btn.classList.add('correct');
             } else {
                 btn.classList.add('incorrect');
             }
-        } else if (index === question.correct) {
+        } else if (index === correctOption(question)) {
             btn.classList.add('correct');
         }
     });
@@ -596,10 +596,27 @@ function finishQuiz() {
     showProgressReport();
 }
 
+function correctOption(question) {
+    // Numerical questions carry the answer computed by the relativity library,
+    // so the option marked correct always agrees with the physics
+    if (question.answer === undefined) return question.correct;
+    if (typeof question.answer === 'string') {
+        return question.options.findIndex(option => option.toLowerCase() === question.answer);
+    }
+    
+    let best = 0;
+    question.options.forEach((option, index) => {
+        if (Math.abs(parseFloat(option) - question.answer) < Math.abs(parseFloat(question.options[best]) - question.answer)) {
+            best = index;
+        }
+    });
+    return best;
+}
+
 function calculateScore() {
     let score = 0;
     for (let i = 0; i < currentQuiz.questions.length; i++) {
-        if (userAnswers[i] === currentQuiz.questions[i].correct) {
+        if (userAnswers[i] === correctOption(currentQuiz.questions[i])) {
             score++;
         }
     }
@@ -609,7 +626,7 @@ function calculateScore() {
 function updateScore() {
     let score = 0;
     for (let i = 0; i <= currentQuestionIndex; i++) {
-        if (userAnswers[i] === currentQuiz.questions[i].correct) {
+        if (userAnswers[i] === correctOption(currentQuiz.questions[i])) {
             score++;
         }
     }
@@ -0,0 +1,256 @@
+// Relativity Math Library
+// Lorentz boosts, intervals, velocity addition, 4×4 Lorentz matrices, four-momenta, Doppler shifts and
+// aberration shared by every module.
+// Works as a plain <script> (window.Relativity) and as a Node module (require('./relativity.js')).
+//
+// Units: everything is in natural units (c = 1) unless a function takes c explicitly,
+// so velocities are β = v/c, times are ct and Δs² = Δx² + Δy² + Δz² - Δct².
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Relativity = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    const C = 299792458; // Speed of light in m/s
+    
+    // ===== SPEED AND RAPIDITY =====
+    function gamma(beta) {
+        if (Math.abs(beta) >= 1) throw new RangeError(`|β| must be below 1, got ${beta}`);
+        return 1 / Math.sqrt(1 - beta * beta);
+    }
+    
+    function betaFromGamma(g) {
+        if (g < 1) throw new RangeError(`γ must be at least 1, got ${g}`);
+        return Math.sqrt(1 - 1 / (g * g));
+    }
+    
+    // φ = atanh(β); rapidities add under successive collinear boosts
+    function rapidity(beta) {
+        return Math.atanh(beta);
+    }
+    
+    function betaFromRapidity(phi) {
+        return Math.tanh(phi);
+    }
+    
+    // ===== BOOSTS =====
+    // Coordinates of (x, ct) in a frame moving at β along +x
+    function boost(x, ct, beta) {
+        const g = gamma(beta);
+        return {x: g * (x - beta * ct), ct: g * (ct - beta * x)};
+    }
+    
+    // The same boost written with rapidity: cosh φ = γ, sinh φ = γβ
+    function boostByRapidity(x, ct, phi) {
+        const ch = Math.cosh(phi);
+        const sh = Math.sinh(phi);
+        return {x: ch * x - sh * ct, ct: ch * ct - sh * x};
+    }
+    
+    // Boost in any consistent units: x' = γ(x - vt), t' = γ(t - vx/c²)
+    function lorentzTransform(x, t, v, c = 1) {
+        const g = gamma(v / c);
+        return {x: g * (x - v * t), t: g * (t - v * x / (c * c))};
+    }
+    
+    // Re-express coordinates given in a frame moving at fromBeta in one moving at toBeta (both relative to S)
+    function transformBetweenFrames(x, ct, fromBeta, toBeta) {
+        return boostByRapidity(x, ct, rapidity(toBeta) - rapidity(fromBeta));
+    }
+    
+    // ===== INTERVALS =====
+    function interval(dx, dct, dy = 0, dz = 0) {
+        return dx * dx + dy * dy + dz * dz - dct * dct;
+    }
+    
+    // 'timelike', 'lightlike' or 'spacelike'; |Δs²| within the tolerance counts as lightlike
+    function classifyInterval(s2, tolerance = 1e-9) {
+        if (Math.abs(s2) < tolerance) return 'lightlike';
+        return s2 < 0 ? 'timelike' : 'spacelike';
+    }
+    
+    // cΔτ = √(Δct² - Δx²), NaN when no clock can pass through both events
+    function properTime(dx, dct, dy = 0, dz = 0) {
+        const s2 = interval(dx, dct, dy, dz);
+        return s2 <= 0 ? Math.sqrt(-s2) : NaN;
+    }
+    
+    // Coordinate time for a clock moving at β that ticks off the given proper time
+    function dilatedTime(properTimeInterval, beta) {
+        return gamma(beta) * properTimeInterval;
+    }
+    
+    function contractedLength(properLength, beta) {
+        return properLength / gamma(beta);
+    }
+    
+    // ===== VELOCITY ADDITION =====
+    // Velocity in S of something moving at u in a frame that moves at v
+    function addVelocities(u, v) {
+        return (u + v) / (1 + u * v);
+    }
+    
+    // Velocity of something moving at u in S, seen from a frame that moves at v
+    function relativeVelocity(u, v) {
+        return (u - v) / (1 - u * v);
+    }
+    
+    // Bondi k: ratio of received to emitted intervals for a source receding at β
+    function dopplerFactor(beta) {
+        return Math.sqrt((1 + beta) / (1 - beta));
+    }
+    
+    // ===== FOUR-VECTORS =====
+    // Components are {ct, x, y, z}; missing spatial components count as zero
+    function fourVector(ct, x = 0, y = 0, z = 0) {
+        return {ct: ct, x: x, y: y, z: z};
+    }
+    
+    // Same signature as the interval: a·a < 0 for timelike vectors
+    function minkowskiDot(a, b) {
+        return (a.x || 0) * (b.x || 0) + (a.y || 0) * (b.y || 0) + (a.z || 0) * (b.z || 0) - a.ct * b.ct;
+    }
+    
+    // Boost along x; the transverse components are unchanged
+    function boostFourVector(v, beta) {
+        const boosted = boost(v.x || 0, v.ct, beta);
+        return fourVector(boosted.ct, boosted.x, v.y || 0, v.z || 0);
+    }
+    
+    // ===== GENERAL BOOSTS =====
+    // 4×4 matrices are arrays of rows acting on [ct, x, y, z]
+    
+    // Λ for a frame moving at β = (βx, βy, βz): Λ⁰⁰ = γ, Λ⁰ⁱ = Λⁱ⁰ = -γβⁱ, Λⁱʲ = δⁱʲ + (γ - 1)βⁱβʲ/β²
+    function boostMatrix(bx, by = 0, bz = 0) {
+        const b = [bx, by, bz];
+        const b2 = bx * bx + by * by + bz * bz;
+        const g = gamma(Math.sqrt(b2));
+        const matrix = [[g, -g * bx, -g * by, -g * bz]];
+        for (let i = 0; i < 3; i++) {
+            const row = [-g * b[i]];
+            for (let j = 0; j < 3; j++) {
+                row.push((i === j ? 1 : 0) + (b2 > 0 ? (g - 1) * b[i] * b[j] / b2 : 0));
+            }
+            matrix.push(row);
+        }
+        return matrix;
+    }
+    
+    function multiplyMatrices(a, b) {
+        return a.map(row => b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0)));
+    }
+    
+    function transformFourVector(matrix, v) {
+        const components = [v.ct, v.x || 0, v.y || 0, v.z || 0];
+        const result = matrix.map(row => row.reduce((sum, value, k) => sum + value * components[k], 0));
+        return fourVector(result[0], result[1], result[2], result[3]);
+    }
+    
+    // Split a proper Lorentz transformation into Λ = R·B(u): a boost to a frame moving at u in the
+    // original frame, followed by a spatial rotation R (angle in radians about a unit axis)
+    function decomposeLorentz(matrix) {
+        const g = matrix[0][0];
+        const velocity = [1, 2, 3].map(j => -matrix[0][j] / g);
+        const rotation = multiplyMatrices(matrix, boostMatrix(-velocity[0], -velocity[1], -velocity[2]));
+        const r = rotation.slice(1).map(row => row.slice(1));
+        const cosine = (r[0][0] + r[1][1] + r[2][2] - 1) / 2;
+        const angle = Math.acos(Math.max(-1, Math.min(1, cosine)));
+        
+        // The axis comes from the antisymmetric part, R - Rᵀ = 2 sin θ [n]ₓ
+        let axis = [r[2][1] - r[1][2], r[0][2] - r[2][0], r[1][0] - r[0][1]];
+        const length = Math.hypot(axis[0], axis[1], axis[2]);
+        axis = length > 1e-12 ? axis.map(component => component / length) : [0, 0, 1];
+        return {velocity: velocity, rotation: r, angle: angle, axis: axis};
+    }
+    
+    // Boost by β₁, then by β₂ measured in the first boosted frame: Λ = B(β₂)·B(β₁)
+    function composeBoosts(beta1, beta2) {
+        const matrix = multiplyMatrices(boostMatrix(beta2[0], beta2[1], beta2[2]), boostMatrix(beta1[0], beta1[1], beta1[2]));
+        return Object.assign({matrix: matrix}, decomposeLorentz(matrix));
+    }
+    
+    // ===== FOUR-MOMENTUM =====
+    // Four-momenta reuse the {ct, x, y, z} slots for (E, pₓc, p_yc, p_zc), all in energy units
+    function fourMomentum(mass, bx, by = 0, bz = 0) {
+        const g = gamma(Math.hypot(bx, by, bz));
+        return fourVector(g * mass, g * mass * bx, g * mass * by, g * mass * bz);
+    }
+    
+    // E = √(m² + |p|²)
+    function fourMomentumFromMomentum(mass, px, py = 0, pz = 0) {
+        return fourVector(Math.sqrt(mass * mass + px * px + py * py + pz * pz), px, py, pz);
+    }
+    
+    function sumFourVectors(vectors) {
+        return vectors.reduce((sum, v) => fourVector(sum.ct + v.ct, sum.x + (v.x || 0), sum.y + (v.y || 0), sum.z + (v.z || 0)),
+            fourVector(0));
+    }
+    
+    // M = √(E² - |p|²), the same in every frame
+    function invariantMass(p) {
+        return Math.sqrt(Math.max(0, -minkowskiDot(p, p)));
+    }
+    
+    // Velocity of the frame in which the total momentum vanishes: β = p/E
+    function centreOfMomentumVelocity(p) {
+        return [(p.x || 0) / p.ct, (p.y || 0) / p.ct, (p.z || 0) / p.ct];
+    }
+    
+    // Total energy a projectile needs, hitting a target at rest, to create products of total mass M:
+    // E = (M² - m_a² - m_b²) / 2m_b
+    function thresholdEnergy(projectileMass, targetMass, productMasses) {
+        const total = productMasses.reduce((sum, mass) => sum + mass, 0);
+        return Math.max(projectileMass, (total * total - projectileMass * projectileMass - targetMass * targetMass) / (2 * targetMass));
+    }
+    
+    // ===== DOPPLER AND ABERRATION =====
+    // Angles are measured from the observer's direction of motion. θ is the direction of a source in
+    // the frame where the sources are at rest; an observer moving at β sees it at θ'.
+    function aberrationAngle(theta, beta) {
+        const cosine = (Math.cos(theta) + beta) / (1 + beta * Math.cos(theta));
+        return Math.acos(Math.max(-1, Math.min(1, cosine)));
+    }
+    
+    // Received over emitted frequency: D = γ(1 + β cos θ) = 1 / (γ(1 - β cos θ'))
+    function dopplerShift(theta, beta) {
+        return gamma(beta) * (1 + beta * Math.cos(theta));
+    }
+    
+    return {
+        C: C,
+        gamma: gamma,
+        betaFromGamma: betaFromGamma,
+        rapidity: rapidity,
+        betaFromRapidity: betaFromRapidity,
+        boost: boost,
+        boostByRapidity: boostByRapidity,
+        lorentzTransform: lorentzTransform,
+        transformBetweenFrames: transformBetweenFrames,
+        interval: interval,
+        classifyInterval: classifyInterval,
+        properTime: properTime,
+        dilatedTime: dilatedTime,
+        contractedLength: contractedLength,
+        addVelocities: addVelocities,
+        relativeVelocity: relativeVelocity,
+        dopplerFactor: dopplerFactor,
+        fourVector: fourVector,
+        minkowskiDot: minkowskiDot,
+        boostFourVector: boostFourVector,
+        boostMatrix: boostMatrix,
+        multiplyMatrices: multiplyMatrices,
+        transformFourVector: transformFourVector,
+        decomposeLorentz: decomposeLorentz,
+        composeBoosts: composeBoosts,
+        fourMomentum: fourMomentum,
+        fourMomentumFromMomentum: fourMomentumFromMomentum,
+        sumFourVectors: sumFourVectors,
+        invariantMass: invariantMass,
+        centreOfMomentumVelocity: centreOfMomentumVelocity,
+        thresholdEnergy: thresholdEnergy,
+        aberrationAngle: aberrationAngle,
+        dopplerShift: dopplerShift
+    };
+});
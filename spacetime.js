@@ -1,16 +1,77 @@
 // Spacetime Explorer - Minkowski Diagram
 // p5.js implementation
 
+const MAX_BETA = 0.99;
+const DEFAULT_SCALE = 40;
+const MIN_SCALE = 2;
+const MAX_SCALE = 400;
+const SCENE_VERSION = 1;
+const SWEEP_MIN = -10; // range of the time sweep in the sweep frame's ct
+const SWEEP_MAX = 10;
+const SWEEP_SPEED = 1; // units of ct per second of playback
+const MAX_REFLECTIONS = 8; // bounces traced for each light signal
+const UNIT_3D = 40; // WEBGL units per unit of x, y or ct in the 2+1D mode
+const AXIS_3D = 6; // half-length of the 2+1D axes
+const CONE_HEIGHT_3D = 4;
+const FOV_3D = Math.PI / 3;
+const HISTORY_LIMIT = 100; // undo steps kept
+const NUDGE_STEP = 0.5; // arrow-key step, in units of x or ct
+const FINE_NUDGE_STEP = 0.05; // step with Shift held
+const ANNOUNCE_DELAY = 600; // ms of quiet before the live region speaks
+const SNAP_DISTANCE = 15; // pixels within which a drag snaps onto a light cone
+const BOOST_ANIMATION_TIME = 2.5; // seconds taken to boost into a time-reversing frame
+const LIGHTLIKE_TOLERANCE = 1e-9; // |Δs²| below this counts as lightlike
+
 let canvas;
 let events = [];
 let draggedEvent = null;
-let beta = 0; // v/c
+let beta = 0; // v/c, signed: negative boosts move to the left
 let gamma = 1;
-let scale = 40; // pixels per unit
-let offsetX, offsetY;
+let rapidity = 0; // φ = atanh(β), additive under successive boosts
+let compositionSteps = []; // β of each boost composed since the last direct change
+let scale = DEFAULT_SCALE; // pixels per unit, changed by zooming
+let offsetX, offsetY; // screen position of the origin, changed by panning
+let isPanning = false;
 let showGrid = true;
 let showLightCones = true;
 let showTransformed = true;
+let showPrimedGrid = false;
+let showHyperbolae = false;
+let worldlines = [];
+let currentWorldline = null;
+let worldlineMode = 'none'; // 'none', 'connect' or 'freehand'
+let viewFrame = 'S'; // 'S' or "S'"
+let viewRapidity = 0; // rapidity of the frame currently drawn, eased toward the target
+let selectedPair = null; // [from, to] events highlighted on the canvas
+let frames = []; // further frames S'', S''', …: {label, beta, parent, color}, β relative to the parent
+let dragMode = 'free'; // 'free', 'grid', 'lightcone' or 'interval'
+let dragConstraint = null; // reference event and invariant held during a constrained drag
+let focusedEvent = null; // event moved by the arrow keys
+let pairAnchor = null; // first event of a pair chosen with Enter
+let announceTimer = null;
+let undoStack = []; // earlier scene states, as JSON
+let redoStack = [];
+let lastHistoryState = null; // state after the most recent recorded change
+let spaceMode = '2d'; // '2d' for the 1+1D diagram or '3d' for the 2+1D WEBGL view
+let graphics3D = null; // WEBGL buffer, created on first use
+let boostAngle = 0; // direction of the boost in the x–y plane, radians from +x
+let camYaw = -0.6;
+let camPitch = 0.35;
+let camDistance = 700;
+let isOrbiting = false;
+let rindlerObservers = []; // uniformly accelerated observers: {label, x, ct, acceleration}
+let showComoving = true;
+let showHorizons = true;
+let signals = []; // light signals: {source: event, direction: -1 or 1}
+let signalMode = null; // direction of the next signal emitted by clicking an event
+let sceneObjects = []; // moving rods and clocks: {type, label, x, beta, length}
+let showSweep = false;
+let sweepFrame = 'S'; // frame whose line of simultaneity is swept: 'S' or "S'"
+let sweepTime = 0; // ct of the line of simultaneity in the sweep frame
+let sweepPlaying = false;
+let showTachyons = false; // superluminal signal between the selected spacelike pair
+let showTachyonLoop = false; // second tachyon that returns to the sender before it fired
+let boostAnimation = null; // {from, to, elapsed} rapidities while easing into a reversal frame
 
 // Color scheme
 const colors = {
@@ -21,109 +82,354 @@ const colors = {
     eventA: [33, 150, 243],
     eventB: [76, 175, 80],
     transformed: [255, 193, 7],
+    primedGrid: [255, 193, 7, 60],
+    hyperbola: [186, 104, 200, 170],
+    worldline: [206, 147, 216],
+    properTimeTick: [255, 255, 255],
+    superluminal: [255, 82, 82],
+    rod: [129, 199, 132],
+    clock: [255, 171, 64],
+    sweep: [255, 255, 255, 200],
+    signal: [255, 235, 59],
+    tachyon: [100, 255, 218],
+    rindler: [240, 98, 146],
+    horizon: [240, 98, 146, 35],
+    framePalette: [[0, 229, 255], [255, 110, 199], [178, 255, 89], [255, 145, 0], [124, 77, 255]],
     text: [224, 224, 224]
 };
 
 function setup() {
     canvas = createCanvas(800, 600);
     canvas.parent('minkowskiCanvas');
+    setupCanvasAccessibility();
+    
+    // Fingers and pens get their own handlers so several events can be dragged at once
+    setupPointerCanvas(canvas.elt, {press: pressCanvas, actionsAt: canvasActionsAt}, ['touch', 'pen']);
     
     offsetX = width / 2;
     offsetY = height / 2;
     
     // Initialize with two events
     events = [
-        {x: 2, ct: 3, color: colors.eventA, label: 'A', dragged: false},
-        {x: 4, ct: 1, color: colors.eventB, label: 'B', dragged: false}
+        {x: 2, y: 0, ct: 3, color: colors.eventA, label: 'A', dragged: false},
+        {x: 4, y: 0, ct: 1, color: colors.eventB, label: 'B', dragged: false}
     ];
     
     // Setup event listeners for controls
     setupControls();
+    renderEventEditor();
+    renderFrameEditor();
+    
+    // Open a shared scene if the page was loaded from a link
+    loadSceneFromHash();
     
     // Update information display
     updateInfo();
+    
+    // Start the undo history from the initial scene
+    recordHistory();
 }
 
 function draw() {
+    advanceAnimations();
+    drawScene();
+}
+
+// Time-dependent state moves on once per frame, never when a diagram is exported
+function advanceAnimations() {
+    // Step a requested boost into a frame where a tachyon runs backwards in time
+    if (boostAnimation) advanceBoostAnimation(deltaTime / 1000);
+    
+    // Ease the displayed rapidity toward the selected frame so boosts animate
+    let targetRapidity = viewFrame === 'S' ? 0 : rapidity;
+    viewRapidity += (targetRapidity - viewRapidity) * 0.15;
+    if (Math.abs(targetRapidity - viewRapidity) < 0.0005) viewRapidity = targetRapidity;
+    
+    // Advance the line of simultaneity during playback
+    if (spaceMode !== '3d' && sweepPlaying) advanceSweep(deltaTime / 1000);
+}
+
+function drawScene() {
+    // The 2+1D mode has its own WEBGL scene
+    if (spaceMode === '3d') {
+        drawSpacetime3D();
+        return;
+    }
+    
     // Dark background
     background(colors.background);
     
     // Draw grid
     if (showGrid) drawGrid();
     
+    // Draw primed grid and calibration hyperbolae
+    if (showPrimedGrid) drawPrimedGrid();
+    if (showHyperbolae) drawHyperbolae();
+    
     // Draw axes
     drawAxes();
     
     // Draw light cones
     if (showLightCones) drawLightCones();
     
+    // Light cones switched on from an event's context menu
+    events.filter(event => event.showCone).forEach(drawEventLightCone);
+    
+    // Highlight the selected pair with both events' light cones
+    drawSelectedPair();
+    
+    // Show the light cone or hyperbola a constrained drag follows
+    drawDragGuide();
+    
+    // Draw worldlines underneath the events they connect
+    drawWorldlines();
+    
+    // Draw rods and clocks, then what the sweep frame measures of them
+    drawSceneObjects();
+    if (showSweep) drawTimeSweep();
+    
+    // Draw accelerated observers with their horizons
+    drawRindlerObservers();
+    
+    // Draw light signals bouncing between worldlines
+    drawSignals();
+    
+    // Draw the superluminal signal and its closed loop
+    if (showTachyons) drawTachyons();
+    
     // Draw events
     drawEvents();
     
-    // Draw transformed frame if velocity > 0
-    if (beta > 0.01 && showTransformed) drawTransformedFrame();
+    // Draw transformed frame if the frames are moving relative to each other
+    if (Math.abs(beta) > 0.01 && showTransformed) drawTransformedFrame();
+    
+    // Draw the axes of every further frame in its own colour
+    if (showTransformed) drawExtraFrames();
     
     // Draw coordinate labels
     drawLabels();
+    
+    // Show coordinates in both frames under the cursor
+    drawHoverReadout();
 }
 
 function drawGrid() {
     stroke(colors.grid);
     strokeWeight(1);
     
-    // Vertical lines
-    for (let x = -10; x <= 10; x++) {
-        line(
-            offsetX + x * scale, 0,
-            offsetX + x * scale, height
-        );
+    let spacing = gridSpacing();
+    let bounds = visibleBounds();
+    
+    // Lines of constant x
+    for (let x = Math.floor(bounds.minX / spacing) * spacing; x <= bounds.maxX; x += spacing) {
+        worldLine(x, bounds.minCt, x, bounds.maxCt);
     }
     
-    // Horizontal lines
-    for (let y = -10; y <= 10; y++) {
-        line(
-            0, offsetY + y * scale,
-            width, offsetY + y * scale
-        );
+    // Lines of constant ct
+    for (let ct = Math.floor(bounds.minCt / spacing) * spacing; ct <= bounds.maxCt; ct += spacing) {
+        worldLine(bounds.minX, ct, bounds.maxX, ct);
     }
 }
 
-function drawAxes() {
-    stroke(colors.axes);
+function gridSpacing() {
+    // Smallest 1-2-5 step that keeps grid lines at least 30px apart
+    let raw = 30 / scale;
+    let magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    for (let step of [1, 2, 5, 10]) {
+        if (step * magnitude >= raw) return step * magnitude;
+    }
+}
+
+function visibleBounds(frameRapidity = 0) {
+    // Coordinates of the canvas corners in the given frame (S by default); in a
+    // boosted view this box is larger than the screen
+    let corners = [toWorld(0, 0), toWorld(width, 0), toWorld(0, height), toWorld(width, height)]
+        .map(p => boostCoords(p.x, p.ct, frameRapidity));
+    return {
+        minX: Math.min(...corners.map(p => p.x)),
+        maxX: Math.max(...corners.map(p => p.x)),
+        minCt: Math.min(...corners.map(p => p.ct)),
+        maxCt: Math.max(...corners.map(p => p.ct))
+    };
+}
+
+function drawPrimedGrid() {
+    stroke(colors.primedGrid);
+    strokeWeight(1);
+    
+    let spacing = gridSpacing();
+    let bounds = visibleBounds(rapidity);
+    
+    // Lines of constant x' are worldlines of objects at rest in S'
+    for (let xp = Math.floor(bounds.minX / spacing) * spacing; xp <= bounds.maxX; xp += spacing) {
+        primedLine(xp, bounds.minCt, xp, bounds.maxCt);
+    }
+    
+    // Lines of constant ct' are S' lines of simultaneity
+    for (let ctp = Math.floor(bounds.minCt / spacing) * spacing; ctp <= bounds.maxCt; ctp += spacing) {
+        primedLine(bounds.minX, ctp, bounds.maxX, ctp);
+    }
+}
+
+function primedLine(xp1, ctp1, xp2, ctp2) {
+    // Map S' endpoints back to S with the inverse boost
+    let p1 = boostCoords(xp1, ctp1, -rapidity);
+    let p2 = boostCoords(xp2, ctp2, -rapidity);
+    worldLine(p1.x, p1.ct, p2.x, p2.ct);
+}
+
+function drawHyperbolae() {
+    let bounds = visibleBounds();
+    let extent = Math.max(Math.abs(bounds.minX), Math.abs(bounds.maxX), Math.abs(bounds.minCt), Math.abs(bounds.maxCt));
+    
+    noFill();
+    stroke(colors.hyperbola);
+    strokeWeight(1);
+    
+    // x² - ct² = ±n²: the loci every observer agrees are n units from the origin
+    for (let n = 1; n <= Math.min(extent, 12); n++) {
+        let uMax = Math.asinh(extent / n);
+        for (let sign of [1, -1]) {
+            // Spacelike branches (left and right)
+            drawHyperbolaBranch(u => ({x: sign * n * Math.cosh(u), ct: n * Math.sinh(u)}), uMax);
+            // Timelike branches (future and past)
+            drawHyperbolaBranch(u => ({x: n * Math.sinh(u), ct: sign * n * Math.cosh(u)}), uMax);
+        }
+        
+        // Label the future and right-hand branches at their vertices
+        let timelikeVertex = toScreen(0, n);
+        let spacelikeVertex = toScreen(n, 0);
+        noStroke();
+        fill(colors.hyperbola);
+        textSize(11);
+        textAlign(LEFT, BOTTOM);
+        text(`s² = -${n * n}`, timelikeVertex.x + 4, timelikeVertex.y - 2);
+        text(`s² = ${n * n}`, spacelikeVertex.x + 4, spacelikeVertex.y - 2);
+        noFill();
+        stroke(colors.hyperbola);
+    }
+}
+
+function drawHyperbolaBranch(pointAt, uMax) {
+    beginShape();
+    for (let i = 0; i <= 60; i++) {
+        let p = pointAt(-uMax + 2 * uMax * i / 60);
+        let screen = toScreen(p.x, p.ct);
+        vertex(screen.x, screen.y);
+    }
+    endShape();
+}
+
+function drawPrimedTicks() {
+    // Unit ticks on the primed axes sit on the s² = ±1, ±4, … hyperbolae,
+    // so they look stretched by √((1 + β²)/(1 - β²)) on the S diagram
+    stroke(colors.transformed);
     strokeWeight(2);
+    fill(colors.transformed);
+    textSize(11);
+    textAlign(CENTER, CENTER);
     
-    // x-axis
-    line(0, offsetY, width, offsetY);
-    // ct-axis
-    line(offsetX, 0, offsetX, height);
+    let bounds = visibleBounds(rapidity);
+    let extent = Math.ceil(Math.max(Math.abs(bounds.minX), Math.abs(bounds.maxX), Math.abs(bounds.minCt), Math.abs(bounds.maxCt)));
+    let step = gridSpacing() < 1 ? 1 : gridSpacing();
     
-    // Arrowheads
-    drawArrow(offsetX, 0, offsetX, 10, colors.axes);
-    drawArrow(width - 10, offsetY, width, offsetY, colors.axes);
+    for (let k = step; k <= extent; k += step) {
+        for (let sign of [1, -1]) {
+            let onX = boostCoords(sign * k, 0, -rapidity);
+            let onCt = boostCoords(0, sign * k, -rapidity);
+            for (let [p, offsetLabel] of [[onX, [0, 14]], [onCt, [14, 0]]]) {
+                let screen = toScreen(p.x, p.ct);
+                stroke(colors.transformed);
+                ellipse(screen.x, screen.y, 4, 4);
+                noStroke();
+                text(sign * k, screen.x + offsetLabel[0], screen.y + offsetLabel[1]);
+            }
+        }
+    }
+}
+
+function drawHoverReadout() {
+    if (!isMouseOnCanvas() || draggedEvent || isPanning) return;
     
-    // Labels
-    fill(colors.axes);
+    let position = toWorld(mouseX, mouseY);
+    let primed = boostCoords(position.x, position.ct, rapidity);
+    let lines = [`S: (${position.x.toFixed(2)}, ${position.ct.toFixed(2)})`];
+    if (Math.abs(beta) > 0.01) {
+        lines.push(`S': (${primed.x.toFixed(2)}, ${primed.ct.toFixed(2)})`);
+    }
+    
+    // Keep the box inside the canvas near the right and bottom edges
+    let boxWidth = 150;
+    let boxHeight = 10 + lines.length * 16;
+    let boxX = mouseX + boxWidth + 20 > width ? mouseX - boxWidth - 12 : mouseX + 12;
+    let boxY = mouseY + boxHeight + 20 > height ? mouseY - boxHeight - 12 : mouseY + 12;
+    
+    fill(0, 0, 0, 180);
     noStroke();
-    textSize(16);
-    textAlign(CENTER, CENTER);
-    text('x →', width - 20, offsetY - 20);
-    text('ct ↑', offsetX + 20, 20);
+    rect(boxX, boxY, boxWidth, boxHeight, 6);
+    fill(colors.text);
+    textSize(12);
+    textAlign(LEFT, TOP);
+    lines.forEach((label, i) => text(label, boxX + 8, boxY + 6 + i * 16));
+}
+
+function drawAxes() {
+    drawFrameAxes(0, colors.axes, 'x', 'ct');
+}
+
+function drawFrameAxes(rapidity, color, xLabel, ctLabel) {
+    // Axis directions of a frame with the given rapidity, expressed in S
+    let origin = toScreen(0, 0);
+    let axes = [
+        {dir: toScreen(Math.cosh(rapidity), Math.sinh(rapidity)), label: xLabel + ' →', side: 1},
+        {dir: toScreen(Math.sinh(rapidity), Math.cosh(rapidity)), label: ctLabel + ' ↑', side: -1}
+    ];
+    for (let axis of axes) {
+        // Unit direction of the axis on screen
+        let dx = axis.dir.x - origin.x;
+        let dy = axis.dir.y - origin.y;
+        let len = Math.sqrt(dx * dx + dy * dy);
+        dx /= len;
+        dy /= len;
+        
+        stroke(color);
+        strokeWeight(2);
+        line(origin.x - dx * 10000, origin.y - dy * 10000, origin.x + dx * 10000, origin.y + dy * 10000);
+        
+        // Arrowhead and label where the positive axis leaves the view
+        let reach = rayExit(origin.x, origin.y, dx, dy, 25);
+        if (reach === null) continue;
+        let tipX = origin.x + dx * reach;
+        let tipY = origin.y + dy * reach;
+        drawArrow(tipX - dx * 10, tipY - dy * 10, tipX, tipY, color);
+        
+        fill(color);
+        noStroke();
+        textSize(16);
+        textAlign(CENTER, CENTER);
+        // x labels sit above their axis, ct labels to the right
+        text(axis.label, tipX + axis.side * dy * 20, tipY - axis.side * dx * 20);
+    }
 }
 
 function drawLightCones() {
     stroke(colors.lightCone);
     strokeWeight(2);
     
+    // The cone is invariant under boosts, so it is drawn in screen space and
+    // long enough to cross the canvas at any zoom
+    let reach = 2 * (width + height);
+    
     // Light cone lines (x = ±ct)
     // Right cone (x = ct)
     line(
         offsetX, offsetY,
-        offsetX + 10 * scale, offsetY - 10 * scale
+        offsetX + reach, offsetY - reach
     );
     // Left cone (x = -ct)
     line(
         offsetX, offsetY,
-        offsetX - 10 * scale, offsetY - 10 * scale
+        offsetX - reach, offsetY - reach
     );
     
     // Fill light cone regions
@@ -131,8 +437,8 @@ function drawLightCones() {
     noStroke();
     beginShape();
     vertex(offsetX, offsetY);
-    vertex(offsetX + 10 * scale, offsetY - 10 * scale);
-    vertex(offsetX - 10 * scale, offsetY - 10 * scale);
+    vertex(offsetX + reach, offsetY - reach);
+    vertex(offsetX - reach, offsetY - reach);
     endShape(CLOSE);
     
     // Label
@@ -144,14 +450,26 @@ function drawLightCones() {
 function drawEvents() {
     for (let event of events) {
         // Convert coordinates to canvas coordinates
-        let screenX = offsetX + event.x * scale;
-        let screenY = offsetY - event.ct * scale; // Note: y-axis inverted
+        let screen = toScreen(event.x, event.ct);
+        let screenX = screen.x;
+        let screenY = screen.y;
         
         // Draw event point
         fill(event.color);
         noStroke();
         ellipse(screenX, screenY, 15, 15);
         
+        // Dashed ring on the event the arrow keys move
+        if (event === focusedEvent && document.activeElement === canvas.elt) {
+            noFill();
+            stroke(255);
+            strokeWeight(2);
+            strokeDash(3, 3);
+            ellipse(screenX, screenY, 32, 32);
+            noStrokeDash();
+            noStroke();
+        }
+        
         // Draw label
         fill(255);
         textSize(16);
@@ -170,59 +488,398 @@ function drawEvents() {
     }
 }
 
-function drawTransformedFrame() {
-    stroke(colors.transformed);
+function drawSelectedPair() {
+    let pair = getSelectedPair();
+    if (!pair) return;
+    
+    for (let event of pair) {
+        drawEventLightCone(event);
+        
+        // Ring around the event
+        let screen = toScreen(event.x, event.ct);
+        noFill();
+        stroke(255);
+        strokeWeight(2);
+        ellipse(screen.x, screen.y, 26, 26);
+    }
+    
+    // Connecting line coloured by the interval type
+    let classification = classifyInterval(calculateInterval(pair[0], pair[1]));
+    stroke(classification.color);
     strokeWeight(2);
-    strokeDash(5, 5);
+    strokeDash(4, 4);
+    worldLine(pair[0].x, pair[0].ct, pair[1].x, pair[1].ct);
+    noStrokeDash();
+}
+
+function drawEventLightCone(event) {
+    // Full light cone (past and future) through the event, fixed under boosts
+    let screen = toScreen(event.x, event.ct);
+    let reach = 2 * (width + height);
+    stroke(event.color[0], event.color[1], event.color[2], 160);
+    strokeWeight(1.5);
+    line(screen.x - reach, screen.y + reach, screen.x + reach, screen.y - reach);
+    line(screen.x + reach, screen.y + reach, screen.x - reach, screen.y - reach);
+}
+
+function drawDragGuide() {
+    if (!draggedEvent || !dragConstraint) return;
+    let reference = dragConstraint.reference;
+    let bounds = visibleBounds();
+    let extent = Math.max(Math.abs(bounds.minX - reference.x), Math.abs(bounds.maxX - reference.x),
+        Math.abs(bounds.minCt - reference.ct), Math.abs(bounds.maxCt - reference.ct));
     
-    // Calculate transformed axes
-    // x' axis: ct = βx
-    let x1 = -10, y1 = beta * x1;
-    let x2 = 10, y2 = beta * x2;
+    noFill();
+    stroke(255, 255, 255, 180);
+    strokeWeight(2);
+    strokeDash(6, 4);
     
-    line(
-        offsetX + x1 * scale, offsetY - y1 * scale,
-        offsetX + x2 * scale, offsetY - y2 * scale
-    );
+    let k = dragConstraint.k;
+    if (dragMode === 'lightcone' || Math.abs(k) < LIGHTLIKE_TOLERANCE) {
+        // The reference event's light cone
+        worldLine(reference.x - extent, reference.ct - extent, reference.x + extent, reference.ct + extent);
+        worldLine(reference.x + extent, reference.ct - extent, reference.x - extent, reference.ct + extent);
+    } else {
+        // The branch of constant Δs² the event is held on
+        let a = Math.sqrt(Math.abs(k));
+        let side = dragConstraint.side;
+        let uMax = Math.asinh(extent / a);
+        if (k > 0) {
+            drawHyperbolaBranch(u => ({x: reference.x + side * a * Math.cosh(u), ct: reference.ct + a * Math.sinh(u)}), uMax);
+        } else {
+            drawHyperbolaBranch(u => ({x: reference.x + a * Math.sinh(u), ct: reference.ct + side * a * Math.cosh(u)}), uMax);
+        }
+    }
+    noStrokeDash();
     
-    // ct' axis: x = βct
-    let ct1 = -10, xct1 = beta * ct1;
-    let ct2 = 10, xct2 = beta * ct2;
+    // Ring the reference event
+    let screen = toScreen(reference.x, reference.ct);
+    stroke(255);
+    ellipse(screen.x, screen.y, 26, 26);
+}
+
+function drawWorldlines() {
+    let all = currentWorldline ? worldlines.concat([currentWorldline]) : worldlines;
     
-    line(
-        offsetX + xct1 * scale, offsetY - ct1 * scale,
-        offsetX + xct2 * scale, offsetY - ct2 * scale
-    );
+    for (let worldline of all) {
+        let points = worldline.points;
+        
+        // Draw each segment, flagging any that are faster than light
+        for (let i = 1; i < points.length; i++) {
+            let p1 = points[i - 1];
+            let p2 = points[i];
+            
+            if (isTimelikeSegment(p1, p2)) {
+                stroke(worldline.color);
+                strokeWeight(3);
+                noStrokeDash();
+            } else {
+                stroke(colors.superluminal);
+                strokeWeight(3);
+                strokeDash(6, 4);
+            }
+            worldLine(p1.x, p1.ct, p2.x, p2.ct);
+        }
+        noStrokeDash();
+        
+        drawProperTimeTicks(worldline);
+        
+        // Label the worldline with its accumulated proper time
+        if (points.length >= 2) {
+            let last = toScreen(points[points.length - 1].x, points[points.length - 1].ct);
+            let result = calculateProperTime(points);
+            noStroke();
+            fill(result.valid ? worldline.color : colors.superluminal);
+            textSize(13);
+            textAlign(LEFT, CENTER);
+            text(
+                result.valid ? `τ = ${result.tau.toFixed(2)}` : 'τ undefined (v > c)',
+                last.x + 12,
+                last.y - 12
+            );
+        }
+    }
+}
+
+function drawProperTimeTicks(worldline) {
+    let points = worldline.points;
+    let tau = 0;
+    let nextTick = 1;
     
-    // Draw transformed events
-    for (let event of events) {
-        // Apply Lorentz transformation
-        let xPrime = gamma * (event.x - beta * event.ct);
-        let ctPrime = gamma * (event.ct - beta * event.x);
+    stroke(colors.properTimeTick);
+    strokeWeight(2);
+    
+    for (let i = 1; i < points.length; i++) {
+        let p1 = points[i - 1];
+        let p2 = points[i];
+        
+        // Ticks are only meaningful while the clock stays below light speed
+        if (!isTimelikeSegment(p1, p2)) return;
+        
+        let dx = p2.x - p1.x;
+        let dct = p2.ct - p1.ct;
+        let segmentTau = Relativity.properTime(dx, dct);
+        let start = toScreen(p1.x, p1.ct);
+        let end = toScreen(p2.x, p2.ct);
+        
+        // τ grows linearly along a straight segment, so interpolate each tick
+        while (nextTick <= tau + segmentTau) {
+            let f = (nextTick - tau) / segmentTau;
+            let tick = toScreen(p1.x + f * dx, p1.ct + f * dct);
+            
+            // Short tick perpendicular to the segment as it appears on screen
+            let sdx = end.x - start.x;
+            let sdy = end.y - start.y;
+            let len = Math.sqrt(sdx * sdx + sdy * sdy);
+            let nx = -sdy / len * 6;
+            let ny = sdx / len * 6;
+            line(tick.x - nx, tick.y - ny, tick.x + nx, tick.y + ny);
+            
+            nextTick++;
+        }
+        tau += segmentTau;
+    }
+}
+
+function drawSceneObjects() {
+    let bounds = visibleBounds();
+    
+    for (let object of sceneObjects) {
+        let color = object.type === 'rod' ? colors.rod : colors.clock;
+        let ends = objectEnds(object).map(x0 => ({
+            bottom: {x: x0 + object.beta * bounds.minCt, ct: bounds.minCt},
+            top: {x: x0 + object.beta * bounds.maxCt, ct: bounds.maxCt}
+        }));
+        
+        // A rod sweeps out a strip of spacetime between its two end worldlines
+        if (ends.length === 2) {
+            let corners = [ends[0].bottom, ends[0].top, ends[1].top, ends[1].bottom].map(p => toScreen(p.x, p.ct));
+            noStroke();
+            fill(color[0], color[1], color[2], 40);
+            quad(corners[0].x, corners[0].y, corners[1].x, corners[1].y,
+                corners[2].x, corners[2].y, corners[3].x, corners[3].y);
+        }
+        
+        stroke(color);
+        strokeWeight(2);
+        for (let end of ends) {
+            worldLine(end.bottom.x, end.bottom.ct, end.top.x, end.top.ct);
+        }
         
-        let screenX = offsetX + xPrime * scale;
-        let screenY = offsetY - ctPrime * scale;
+        // A clock ticks every unit of proper time after reading zero at ct = 0
+        if (object.type === 'clock' && bounds.maxCt > 0) {
+            drawProperTimeTicks({points: [{x: object.x, ct: 0}, ends[0].top]});
+        }
         
-        // Draw transformed point
-        fill(colors.transformed);
+        // Label the object near the bottom of the view
+        let labelAt = toScreen(ends[0].bottom.x, Math.max(bounds.minCt, -0.5));
         noStroke();
-        ellipse(screenX, screenY, 10, 10);
+        fill(color);
+        textSize(12);
+        textAlign(RIGHT, BOTTOM);
+        text(object.label, labelAt.x - 6, labelAt.y - 6);
+    }
+}
+
+function drawTimeSweep() {
+    let phi = sweepRapidity();
+    let bounds = visibleBounds(phi);
+    let primeMark = framePrimes(sweepFrame);
+    
+    // The line ct_F = T, mapped from the sweep frame back to S
+    let left = boostCoords(bounds.minX, sweepTime, -phi);
+    let right = boostCoords(bounds.maxX, sweepTime, -phi);
+    stroke(colors.sweep);
+    strokeWeight(2);
+    worldLine(left.x, left.ct, right.x, right.ct);
+    
+    let origin = boostCoords(0, sweepTime, -phi);
+    let labelAt = toScreen(origin.x, origin.ct);
+    noStroke();
+    fill(colors.sweep);
+    textSize(12);
+    textAlign(LEFT, BOTTOM);
+    text(`ct${primeMark} = ${sweepTime.toFixed(2)}`, labelAt.x + 6, labelAt.y - 4);
+    
+    // Mark where the line cuts each rod and clock with what the sweep frame measures
+    for (let object of sceneObjects) {
+        let measured = measureObject(object);
+        let points = measured.points.map(p => toScreen(p.x, p.ct));
+        let color = object.type === 'rod' ? colors.rod : colors.clock;
+        
+        if (object.type === 'rod') {
+            stroke(color);
+            strokeWeight(6);
+            line(points[0].x, points[0].y, points[1].x, points[1].y);
+            noStroke();
+            fill(color);
+            textAlign(CENTER, TOP);
+            text(`L${primeMark} = ${measured.length.toFixed(2)}`, (points[0].x + points[1].x) / 2, (points[0].y + points[1].y) / 2 + 8);
+        } else {
+            stroke(colors.background);
+            strokeWeight(2);
+            fill(color);
+            ellipse(points[0].x, points[0].y, 12, 12);
+            noStroke();
+            textAlign(LEFT, TOP);
+            text(`τ = ${measured.tau.toFixed(2)}`, points[0].x + 8, points[0].y + 4);
+        }
+    }
+}
+
+function drawExtraFrames() {
+    strokeDash(8, 4);
+    for (let frame of frames) {
+        let primes = framePrimes(frame.label);
+        drawFrameAxes(frameRapidity(frame.label), frame.color, 'x' + primes, 'ct' + primes);
+    }
+    noStrokeDash();
+}
+
+function drawRindlerObservers() {
+    let bounds = visibleBounds();
+    let span = (bounds.maxX - bounds.minX) + (bounds.maxCt - bounds.minCt);
+    
+    for (let observer of rindlerObservers) {
+        let pivot = rindlerPivot(observer);
+        let side = Math.sign(observer.acceleration);
+        let reach = span * 2 + Math.abs(pivot.x) + Math.abs(pivot.ct) + Math.abs(bounds.minX) + Math.abs(bounds.minCt);
+        
+        // Beyond the horizon ct - ct₀ > ±(x - x_p) no signal ever catches the observer
+        if (showHorizons) {
+            let corners = [
+                {x: pivot.x - side * reach, ct: pivot.ct - reach},
+                {x: pivot.x + side * reach, ct: pivot.ct + reach},
+                {x: pivot.x - side * 3 * reach, ct: pivot.ct + reach},
+                {x: pivot.x - side * 5 * reach, ct: pivot.ct - reach}
+            ].map(p => toScreen(p.x, p.ct));
+            noStroke();
+            fill(colors.horizon);
+            quad(corners[0].x, corners[0].y, corners[1].x, corners[1].y,
+                corners[2].x, corners[2].y, corners[3].x, corners[3].y);
+            
+            stroke(colors.rindler);
+            strokeWeight(1);
+            strokeDash(8, 6);
+            worldLine(pivot.x - side * reach, pivot.ct - reach, pivot.x + side * reach, pivot.ct + reach);
+            noStrokeDash();
+        }
+        
+        // Proper time needed to climb past the top of the view
+        let alpha = Math.abs(observer.acceleration);
+        let tauMax = bounds.maxCt > observer.ct ? Math.asinh(alpha * (bounds.maxCt - observer.ct)) / alpha : 0;
+        
+        // Comoving lines of simultaneity all pass through the pivot event
+        if (showComoving) {
+            let step = Math.max(1, Math.ceil(tauMax / 12));
+            stroke(colors.rindler[0], colors.rindler[1], colors.rindler[2], 90);
+            strokeWeight(1);
+            for (let tau = 0; tau <= tauMax; tau += step) {
+                let p = rindlerPoint(observer, tau);
+                let length = Math.sqrt((p.x - pivot.x) ** 2 + (p.ct - pivot.ct) ** 2);
+                let f = reach / length;
+                worldLine(pivot.x, pivot.ct, pivot.x + (p.x - pivot.x) * f, pivot.ct + (p.ct - pivot.ct) * f);
+            }
+        }
+        
+        // The hyperbolic worldline itself
+        stroke(colors.rindler);
+        strokeWeight(3);
+        let samples = 100;
+        for (let i = 1; i <= samples; i++) {
+            let p1 = rindlerPoint(observer, tauMax * (i - 1) / samples);
+            let p2 = rindlerPoint(observer, tauMax * i / samples);
+            worldLine(p1.x, p1.ct, p2.x, p2.ct);
+        }
         
-        // Draw connecting line
-        stroke(colors.transformed, 100);
-        strokeWeight(1);
-        strokeDash(3, 3);
-        let origX = offsetX + event.x * scale;
-        let origY = offsetY - event.ct * scale;
-        line(origX, origY, screenX, screenY);
+        // Ticks every unit of proper time, perpendicular to the worldline on screen
+        stroke(colors.properTimeTick);
+        strokeWeight(2);
+        for (let tau = 1; tau <= tauMax; tau++) {
+            let p = rindlerPoint(observer, tau);
+            let tick = toScreen(p.x, p.ct);
+            let ahead = rindlerPoint(observer, tau + 0.01);
+            let next = toScreen(ahead.x, ahead.ct);
+            let len = dist(tick.x, tick.y, next.x, next.y);
+            let nx = -(next.y - tick.y) / len * 6;
+            let ny = (next.x - tick.x) / len * 6;
+            line(tick.x - nx, tick.y - ny, tick.x + nx, tick.y + ny);
+        }
+        
+        let start = toScreen(observer.x, observer.ct);
+        noStroke();
+        fill(colors.rindler);
+        textSize(12);
+        textAlign(LEFT, TOP);
+        text(`${observer.label} (a = ${observer.acceleration.toFixed(2)})`, start.x + 8, start.y + 4);
     }
+}
+
+function drawSignals() {
+    stroke(colors.signal);
+    strokeWeight(2);
     
+    for (let signal of signals) {
+        let trace = traceSignal(signal);
+        let path = trace.path;
+        for (let i = 1; i < path.length; i++) {
+            worldLine(path[i - 1].x, path[i - 1].ct, path[i].x, path[i].ct);
+        }
+        
+        // Arrow along the first leg shows which way the pulse was sent
+        let from = toScreen(path[0].x, path[0].ct);
+        let to = toScreen(path[0].x + signal.direction, path[0].ct + 1);
+        drawArrow(from.x, from.y, to.x, to.y, colors.signal);
+        
+        // Mark each reflection
+        for (let hit of trace.hits) {
+            let screen = toScreen(hit.point.x, hit.point.ct);
+            noFill();
+            stroke(colors.signal);
+            ellipse(screen.x, screen.y, 10, 10);
+        }
+    }
+}
+
+function drawTransformedFrame() {
+    strokeDash(5, 5);
+    drawFrameAxes(rapidity, colors.transformed, "x'", "ct'");
     noStrokeDash();
+    drawPrimedTicks();
+    
+    // When viewing from S' the events are already drawn in primed coordinates
+    if (viewFrame === 'S') {
+        // Draw transformed events
+        for (let event of events) {
+            // Apply Lorentz transformation
+            let primed = Relativity.boost(event.x, event.ct, beta);
+            
+            let screenX = offsetX + primed.x * scale;
+            let screenY = offsetY - primed.ct * scale;
+            
+            // Draw transformed point
+            fill(colors.transformed);
+            noStroke();
+            ellipse(screenX, screenY, 10, 10);
+            
+            // Draw connecting line
+            stroke(colors.transformed, 100);
+            strokeWeight(1);
+            strokeDash(3, 3);
+            let orig = toScreen(event.x, event.ct);
+            line(orig.x, orig.y, screenX, screenY);
+        }
+        
+        noStrokeDash();
+    }
     
     // Label transformed axes
     fill(colors.transformed);
+    noStroke();
     textSize(14);
-    text(`Moving Frame (β = ${beta.toFixed(2)})`, offsetX + 100, offsetY - 100);
+    textAlign(CENTER, CENTER);
+    let label = viewFrame === 'S' ? `Moving Frame (β = ${beta.toFixed(2)})` : `Viewing from S' (S moves at β = ${(-beta).toFixed(2)})`;
+    text(label, offsetX + 100, offsetY - 100);
 }
 
 function drawLabels() {
@@ -231,16 +888,46 @@ function drawLabels() {
     textSize(12);
     textAlign(CENTER, CENTER);
     
-    // Coordinate labels on axes
-    for (let i = -8; i <= 8; i += 2) {
-        if (i === 0) continue;
+    // Label every other grid line unless the lines are already far apart
+    let spacing = gridSpacing();
+    let step = spacing * scale >= 60 ? spacing : spacing * 2;
+    let decimals = Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+    let bounds = visibleBounds();
+    
+    // Coordinate labels on the S axes, which tilt when viewed from S'
+    for (let i = Math.ceil(bounds.minX / step) * step; i <= bounds.maxX; i += step) {
+        if (Math.abs(i) < step / 2) continue;
         // x-axis labels
-        text(i, offsetX + i * scale, offsetY + 15);
+        let onX = toScreen(i, 0);
+        text(i.toFixed(decimals), onX.x, onX.y + 15);
+    }
+    for (let i = Math.ceil(bounds.minCt / step) * step; i <= bounds.maxCt; i += step) {
+        if (Math.abs(i) < step / 2) continue;
         // ct-axis labels
-        text(i, offsetX - 15, offsetY - i * scale);
+        let onCt = toScreen(0, i);
+        text(i.toFixed(decimals), onCt.x - 15, onCt.y);
     }
 }
 
+function rayExit(x, y, dx, dy, margin) {
+    // Distance along a screen ray to where it leaves the canvas (inset by margin),
+    // or null if the ray never passes through the canvas
+    let tMin = 0;
+    let tMax = Infinity;
+    let slabs = [[x, dx, margin, width - margin], [y, dy, margin, height - margin]];
+    for (let [start, dir, lo, hi] of slabs) {
+        if (Math.abs(dir) < 1e-9) {
+            if (start < lo || start > hi) return null;
+            continue;
+        }
+        let t1 = (lo - start) / dir;
+        let t2 = (hi - start) / dir;
+        tMin = Math.max(tMin, Math.min(t1, t2));
+        tMax = Math.min(tMax, Math.max(t1, t2));
+    }
+    return tMax >= tMin ? tMax : null;
+}
+
 function drawArrow(x1, y1, x2, y2, color) {
     stroke(color);
     strokeWeight(2);
@@ -257,6 +944,29 @@ function drawArrow(x1, y1, x2, y2, color) {
     pop();
 }
 
+function boostCoords(x, ct, rapidity) {
+    // Lorentz boost written with rapidity: cosh φ = γ, sinh φ = γβ
+    return Relativity.boostByRapidity(x, ct, rapidity);
+}
+
+function toScreen(x, ct) {
+    // Events are stored in S and drawn in whichever frame is being viewed
+    let p = boostCoords(x, ct, viewRapidity);
+    return {x: offsetX + p.x * scale, y: offsetY - p.ct * scale}; // Note: y-axis inverted
+}
+
+function toWorld(screenX, screenY) {
+    let x = (screenX - offsetX) / scale;
+    let ct = -(screenY - offsetY) / scale;
+    return boostCoords(x, ct, -viewRapidity);
+}
+
+function worldLine(x1, ct1, x2, ct2) {
+    let p1 = toScreen(x1, ct1);
+    let p2 = toScreen(x2, ct2);
+    line(p1.x, p1.y, p2.x, p2.y);
+}
+
 function strokeDash(len, gap) {
     drawingContext.setLineDash([len, gap]);
 }
@@ -266,100 +976,612 @@ function noStrokeDash() {
 }
 
 function mousePressed() {
+    // In the 2+1D mode dragging orbits the camera
+    if (spaceMode === '3d') {
+        isOrbiting = isMouseOnCanvas();
+        return;
+    }
+    
+    // Start a freehand worldline when pressing inside the canvas
+    if (worldlineMode === 'freehand') {
+        if (!isMouseOnCanvas()) return;
+        currentWorldline = createWorldline([toWorld(mouseX, mouseY)]);
+        return;
+    }
+    
+    // Right-clicks open the context menu instead
+    if (mouseButton === RIGHT) return;
+    
+    let event = eventAt(mouseX, mouseY, pointerHitRadius('mouse'));
+    if (event) {
+        if (clickEventInMode(event)) return;
+        draggedEvent = event;
+        focusedEvent = event;
+        event.dragged = true;
+        dragConstraint = startDragConstraint(event);
+        return;
+    }
+    
+    // Pressing on empty space pans the diagram
+    if (isMouseOnCanvas()) {
+        isPanning = true;
+    }
+}
+
+function eventAt(screenX, screenY, radius) {
+    // Nearest event within the hit radius, in screen pixels
+    let nearest = null;
+    let nearestDistance = radius;
     for (let event of events) {
-        let screenX = offsetX + event.x * scale;
-        let screenY = offsetY - event.ct * scale;
-        let d = dist(mouseX, mouseY, screenX, screenY);
-        
-        if (d < 15) {
-            draggedEvent = event;
-            event.dragged = true;
-            return;
+        let screen = toScreen(event.x, event.ct);
+        let d = dist(screenX, screenY, screen.x, screen.y);
+        if (d < nearestDistance) {
+            nearest = event;
+            nearestDistance = d;
         }
     }
+    return nearest;
+}
+
+function clickEventInMode(event) {
+    // In connect mode clicking an event extends the worldline instead of dragging it
+    if (worldlineMode === 'connect') {
+        addEventToWorldline(event);
+        return true;
+    }
+    if (signalMode !== null) {
+        signals.push({source: event, direction: signalMode});
+        updateInfo();
+        return true;
+    }
+    return false;
 }
 
 function mouseDragged() {
+    if (spaceMode === '3d') {
+        if (isOrbiting) {
+            camYaw -= (mouseX - pmouseX) * 0.01;
+            camPitch = constrain(camPitch + (mouseY - pmouseY) * 0.01, -1.5, 1.5);
+        }
+        return;
+    }
+    
+    if (worldlineMode === 'freehand' && currentWorldline) {
+        let point = toWorld(mouseX, mouseY);
+        let last = currentWorldline.points[currentWorldline.points.length - 1];
+        let lastScreen = toScreen(last.x, last.ct);
+        
+        // Sample every 10px and reject samples that would outrun light
+        if (dist(mouseX, mouseY, lastScreen.x, lastScreen.y) >= 10 && isTimelikeSegment(last, point)) {
+            currentWorldline.points.push(point);
+        }
+        return;
+    }
+    
     if (draggedEvent) {
-        // Convert screen coordinates back to spacetime coordinates
-        draggedEvent.x = (mouseX - offsetX) / scale;
-        draggedEvent.ct = -(mouseY - offsetY) / scale; // Negative because y is inverted
+        // Convert screen coordinates back to S coordinates, then apply the drag mode
+        let position = constrainDrag(toWorld(mouseX, mouseY), dragConstraint);
+        draggedEvent.x = position.x;
+        draggedEvent.ct = position.ct;
         
         // Update input fields
-        if (draggedEvent.label === 'A') {
-            document.getElementById('eventAx').value = draggedEvent.x.toFixed(2);
-            document.getElementById('eventAct').value = draggedEvent.ct.toFixed(2);
-        } else if (draggedEvent.label === 'B') {
-            document.getElementById('eventBx').value = draggedEvent.x.toFixed(2);
-            document.getElementById('eventBct').value = draggedEvent.ct.toFixed(2);
-        }
+        updateEventEditorValues();
         
         updateInfo();
+    } else if (isPanning) {
+        offsetX += mouseX - pmouseX;
+        offsetY += mouseY - pmouseY;
     }
 }
 
 function mouseReleased() {
-    if (draggedEvent) {
+    isPanning = false;
+    isOrbiting = false;
+    
+    if (worldlineMode === 'freehand' && currentWorldline) {
+        finishWorldline();
+    } else if (draggedEvent) {
         draggedEvent.dragged = false;
         draggedEvent = null;
+        dragConstraint = null;
     }
+    
+    // A finished drag, click or stroke on the canvas is one undo step
+    recordHistory();
 }
 
-function setupControls() {
-    // Velocity slider
-    document.getElementById('velocitySlider').addEventListener('input', function(e) {
-        beta = parseFloat(e.target.value);
-        gamma = 1 / Math.sqrt(1 - beta * beta);
-        
-        document.getElementById('velocityValue').textContent = beta.toFixed(2) + 'c';
-        document.getElementById('gammaValue').textContent = gamma.toFixed(2);
-        
-        updateInfo();
-    });
-    
-    // Update events button
-    document.getElementById('updateEvents').addEventListener('click', function() {
-        events[0].x = parseFloat(document.getElementById('eventAx').value) || 0;
-        events[0].ct = parseFloat(document.getElementById('eventAct').value) || 0;
-        events[1].x = parseFloat(document.getElementById('eventBx').value) || 0;
-        events[1].ct = parseFloat(document.getElementById('eventBct').value) || 0;
-        updateInfo();
-    });
+function mouseWheel(event) {
+    if (!isMouseOnCanvas()) return;
     
-    // Add event button
-    document.getElementById('addEvent').addEventListener('click', function() {
-        if (events.length < 5) {
-            let newColor = [random(150, 255), random(150, 255), random(150, 255)];
-            events.push({
-                x: random(-5, 5),
-                ct: random(-5, 5),
-                color: newColor,
-                label: String.fromCharCode(65 + events.length),
-                dragged: false
-            });
-            updateInfo();
-        }
-    });
+    if (spaceMode === '3d') {
+        camDistance = constrain(camDistance * Math.exp(event.delta * 0.001), 150, 5000);
+        return false;
+    }
     
-    // Clear events button
-    document.getElementById('clearEvents').addEventListener('click', function() {
-        events = events.slice(0, 2); // Keep only first two
-        updateInfo();
-    });
+    // Zoom about the cursor so the point under it stays put
+    let factor = Math.exp(-event.delta * 0.001);
+    let newScale = constrain(scale * factor, MIN_SCALE, MAX_SCALE);
+    factor = newScale / scale;
+    offsetX = mouseX - (mouseX - offsetX) * factor;
+    offsetY = mouseY - (mouseY - offsetY) * factor;
+    scale = newScale;
     
-    // Display options
-    document.getElementById('showGrid').addEventListener('change', function(e) {
-        showGrid = e.target.checked;
-    });
+    return false; // Stop the page from scrolling
+}
+
+function isMouseOnCanvas() {
+    return mouseX >= 0 && mouseX <= width && mouseY >= 0 && mouseY <= height;
+}
+
+function fitAllEvents() {
+    // Collect every point of interest in the frame currently being viewed
+    let points = events.slice();
+    worldlines.forEach(worldline => points.push(...worldline.points));
+    points = points.map(p => boostCoords(p.x, p.ct, viewFrame === 'S' ? 0 : rapidity));
+    points.push({x: 0, ct: 0}); // Keep the origin and its light cone in view
     
-    document.getElementById('showLightCones').addEventListener('change', function(e) {
-        showLightCones = e.target.checked;
-    });
+    let minX = Math.min(...points.map(p => p.x));
+    let maxX = Math.max(...points.map(p => p.x));
+    let minCt = Math.min(...points.map(p => p.ct));
+    let maxCt = Math.max(...points.map(p => p.ct));
+    
+    // Leave a margin of 60px around the outermost points
+    let spanX = Math.max(maxX - minX, 1);
+    let spanCt = Math.max(maxCt - minCt, 1);
+    scale = constrain(Math.min((width - 120) / spanX, (height - 120) / spanCt), MIN_SCALE, MAX_SCALE);
+    offsetX = width / 2 - (minX + maxX) / 2 * scale;
+    offsetY = height / 2 + (minCt + maxCt) / 2 * scale;
+}
+
+function resetZoom() {
+    scale = DEFAULT_SCALE;
+    offsetX = width / 2;
+    offsetY = height / 2;
+}
+
+function createWorldline(points) {
+    return {
+        label: 'W' + (worldlines.length + 1),
+        color: colors.worldline,
+        points: points
+    };
+}
+
+function addEventToWorldline(event) {
+    if (!currentWorldline) {
+        currentWorldline = createWorldline([]);
+    }
+    
+    // Connecting an event to itself would give a zero-length segment
+    let points = currentWorldline.points;
+    if (points[points.length - 1] === event) return;
+    
+    // Events are stored by reference so the worldline follows them when dragged
+    points.push(event);
+    updateWorldlineStatus();
+}
+
+function finishWorldline() {
+    if (currentWorldline && currentWorldline.points.length >= 2) {
+        worldlines.push(currentWorldline);
+    }
+    currentWorldline = null;
+    updateInfo();
+}
+
+function setWorldlineMode(mode) {
+    // Leaving a mode completes whatever worldline was in progress
+    finishWorldline();
+    worldlineMode = worldlineMode === mode ? 'none' : mode;
+    if (worldlineMode !== 'none' && signalMode !== null) {
+        signalMode = null;
+        updateSignalButtons();
+    }
+    
+    document.getElementById('connectWorldline').classList.toggle('btn-primary', worldlineMode === 'connect');
+    document.getElementById('drawWorldline').classList.toggle('btn-primary', worldlineMode === 'freehand');
+    updateWorldlineStatus();
+}
+
+function updateWorldlineStatus() {
+    let status = '';
+    if (worldlineMode === 'connect') {
+        let count = currentWorldline ? currentWorldline.points.length : 0;
+        status = `Click events in order to connect them (${count} selected)`;
+    } else if (worldlineMode === 'freehand') {
+        status = 'Drag on the diagram to draw a worldline';
+    } else {
+        status = `${worldlines.length} worldline${worldlines.length === 1 ? '' : 's'}`;
+    }
+    document.getElementById('worldlineStatus').textContent = status;
+}
+
+function pruneWorldlines() {
+    // Drop worldlines that pass through events which no longer exist
+    worldlines = worldlines.filter(worldline =>
+        worldline.points.every(point => point.label === undefined || events.includes(point))
+    );
+}
+
+function setupControls() {
+    // Velocity slider
+    document.getElementById('velocitySlider').addEventListener('input', function(e) {
+        boostAnimation = null;
+        setVelocity(parseFloat(e.target.value));
+        compositionSteps = [];
+        updateInfo();
+    });
+    
+    // Rapidity input
+    document.getElementById('rapidityInput').addEventListener('input', function(e) {
+        let phi = parseFloat(e.target.value);
+        if (isNaN(phi)) return;
+        boostAnimation = null;
+        setVelocity(Relativity.betaFromRapidity(phi));
+        compositionSteps = [];
+        updateInfo();
+    });
+    
+    // Compose a further boost on top of the current one
+    document.getElementById('composeBoost').addEventListener('click', function() {
+        let stepBeta = parseFloat(document.getElementById('boostStep').value);
+        if (isNaN(stepBeta) || Math.abs(stepBeta) >= 1) {
+            alert('The additional boost must satisfy -1 < β < 1');
+            return;
+        }
+        // After hitting the velocity limit, carry on from the boost actually applied
+        let chainRapidity = compositionSteps.reduce((sum, step) => sum + Relativity.rapidity(step), 0);
+        if (compositionSteps.length === 0 || Math.abs(chainRapidity - rapidity) > 1e-9) compositionSteps = [beta];
+        compositionSteps.push(stepBeta);
+        
+        // Rapidities add, so the composed velocity is tanh(φ₁ + φ₂)
+        setVelocity(Relativity.betaFromRapidity(rapidity + Relativity.rapidity(stepBeta)));
+        updateInfo();
+    });
+    
+    // Event editor: edits apply as they are typed
+    let eventEditor = document.getElementById('eventEditor');
+    eventEditor.addEventListener('input', function(e) {
+        let row = e.target.closest('tr[data-index]');
+        if (!row) return;
+        let event = events[parseInt(row.dataset.index)];
+        let field = e.target.dataset.field;
+        
+        if (field === 'label') {
+            event.label = e.target.value;
+            renderDragReferenceOptions();
+        } else if (field === 'color') {
+            event.color = hexToColor(e.target.value);
+        } else {
+            let value = parseFloat(e.target.value);
+            if (isNaN(value)) return; // Wait until the number is complete
+            event[field] = value;
+        }
+        updateInfo();
+    });
+    
+    eventEditor.addEventListener('click', function(e) {
+        if (!e.target.classList.contains('delete-event')) return;
+        let row = e.target.closest('tr[data-index]');
+        deleteEvent(events[parseInt(row.dataset.index)]);
+    });
+    
+    // Drag constraints
+    document.getElementById('dragMode').addEventListener('change', function(e) {
+        dragMode = e.target.value;
+    });
+    
+    // Add event button
+    document.getElementById('addEvent').addEventListener('click', function() {
+        // Place new events near the middle of the current view so they are visible
+        let center = toWorld(width / 2, height / 2);
+        let newColor = [random(150, 255), random(150, 255), random(150, 255)];
+        events.push({
+            x: center.x + random(-2, 2),
+            y: 0,
+            ct: center.ct + random(-2, 2),
+            color: newColor,
+            label: nextEventLabel(),
+            dragged: false
+        });
+        renderEventEditor();
+        updateInfo();
+    });
+    
+    // Clear events button
+    document.getElementById('clearEvents').addEventListener('click', function() {
+        events = [];
+        worldlines = [];
+        signals = [];
+        currentWorldline = null;
+        selectedPair = null;
+        renderEventEditor();
+        updateInfo();
+    });
+    
+    // Select a pair from the causal-structure table
+    document.getElementById('intervalTable').addEventListener('click', function(e) {
+        let row = e.target.closest('.pair-row');
+        if (row) selectPair(parseInt(row.dataset.i), parseInt(row.dataset.j));
+    });
+    
+    // Undo and redo
+    document.getElementById('undo').addEventListener('click', undo);
+    document.getElementById('redo').addEventListener('click', redo);
+    
+    document.addEventListener('keydown', function(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        // Leave text fields their own undo
+        if (e.target.matches && e.target.matches('input[type="text"], input[type="number"]')) return;
+        
+        let key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            redo();
+        } else {
+            return;
+        }
+        e.preventDefault();
+    });
+    
+    // Any button press or committed edit in the controls is one undo step;
+    // these run after the control's own listener has applied the change
+    let controlsPanel = document.querySelector('.controls-panel');
+    controlsPanel.addEventListener('click', function(e) {
+        if (e.target.closest('button')) recordHistory();
+    });
+    controlsPanel.addEventListener('change', recordHistory);
+    
+    // Scene persistence
+    document.getElementById('exportScene').addEventListener('click', exportScene);
+    
+    document.getElementById('importScene').addEventListener('click', function() {
+        document.getElementById('sceneFile').click();
+    });
+    
+    document.getElementById('sceneFile').addEventListener('change', function(e) {
+        let file = e.target.files[0];
+        if (!file) return;
+        let reader = new FileReader();
+        reader.onload = function() {
+            try {
+                applyScene(JSON.parse(reader.result));
+                recordHistory();
+            } catch (error) {
+                alert(`Could not load scene: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+        e.target.value = ''; // Allow the same file to be loaded again
+    });
+    
+    document.getElementById('shareScene').addEventListener('click', shareScene);
+    
+    // Diagram export
+    document.getElementById('exportSVG').addEventListener('click', function() {
+        if (spaceMode === '3d') {
+            alert('SVG export is only available for the 1+1D diagram. Use PNG for the 2+1D view.');
+            return;
+        }
+        exportDiagramSVG('minkowski-diagram', drawScene, diagramLegend());
+    });
+    
+    document.getElementById('exportPNG').addEventListener('click', function() {
+        let density = parseInt(document.getElementById('pngScale').value);
+        exportDiagramPNG('minkowski-diagram', density, drawScene, diagramLegend());
+    });
+    window.addEventListener('hashchange', loadSceneFromHash);
+    
+    // Zoom to show every event
+    document.getElementById('fitAll').addEventListener('click', fitAllEvents);
+    
+    // Worldline tools
+    document.getElementById('connectWorldline').addEventListener('click', function() {
+        setWorldlineMode('connect');
+    });
+    
+    document.getElementById('drawWorldline').addEventListener('click', function() {
+        setWorldlineMode('freehand');
+    });
+    
+    document.getElementById('finishWorldline').addEventListener('click', function() {
+        finishWorldline();
+        updateWorldlineStatus();
+    });
+    
+    document.getElementById('clearWorldlines').addEventListener('click', function() {
+        worldlines = [];
+        currentWorldline = null;
+        updateInfo();
+    });
+    
+    // Radar: light signals emitted from events
+    document.getElementById('emitLeft').addEventListener('click', function() {
+        setSignalMode(-1);
+    });
+    
+    document.getElementById('emitRight').addEventListener('click', function() {
+        setSignalMode(1);
+    });
+    
+    document.getElementById('clearSignals').addEventListener('click', function() {
+        signals = [];
+        updateInfo();
+    });
+    
+    // 2+1D mode
+    document.getElementById('toggle3D').addEventListener('click', function() {
+        setSpaceMode(spaceMode === '3d' ? '2d' : '3d');
+        updateInfo();
+    });
+    
+    document.getElementById('boostAngle').addEventListener('input', function(e) {
+        let angle = parseFloat(e.target.value);
+        if (isNaN(angle)) return;
+        boostAngle = radians(angle);
+        updateInfo();
+    });
+    
+    document.getElementById('resetCamera').addEventListener('click', function() {
+        camYaw = -0.6;
+        camPitch = 0.35;
+        camDistance = 700;
+    });
+    
+    // Uniformly accelerated observers
+    document.getElementById('addRindler').addEventListener('click', addRindlerObserver);
+    
+    document.getElementById('clearRindler').addEventListener('click', function() {
+        rindlerObservers = [];
+        updateInfo();
+    });
+    
+    document.getElementById('showComoving').addEventListener('change', function(e) {
+        showComoving = e.target.checked;
+    });
+    
+    document.getElementById('showHorizons').addEventListener('change', function(e) {
+        showHorizons = e.target.checked;
+    });
+    
+    // Further reference frames
+    document.getElementById('addFrame').addEventListener('click', function() {
+        frames.push({
+            label: nextFrameLabel(),
+            beta: 0.5,
+            parent: frames.length > 0 ? frames[frames.length - 1].label : "S'",
+            color: colors.framePalette[frames.length % colors.framePalette.length]
+        });
+        renderFrameEditor();
+        updateInfo();
+    });
+    
+    let frameEditor = document.getElementById('frameEditor');
+    frameEditor.addEventListener('input', function(e) {
+        let row = e.target.closest('tr[data-index]');
+        if (!row) return;
+        let frame = frames[parseInt(row.dataset.index)];
+        let field = e.target.dataset.field;
+        
+        if (field === 'color') {
+            frame.color = hexToColor(e.target.value);
+        } else if (field === 'parent') {
+            frame.parent = e.target.value;
+        } else {
+            let value = parseFloat(e.target.value);
+            if (isNaN(value) || Math.abs(value) >= 1) return; // Wait for a valid velocity
+            frame.beta = value;
+        }
+        updateInfo();
+    });
+    
+    frameEditor.addEventListener('click', function(e) {
+        if (!e.target.classList.contains('delete-frame')) return;
+        let row = e.target.closest('tr[data-index]');
+        deleteFrame(frames[parseInt(row.dataset.index)]);
+    });
+    
+    document.getElementById('relativeFrom').addEventListener('change', updateFrameInfo);
+    document.getElementById('relativeTo').addEventListener('change', updateFrameInfo);
+    
+    // Time sweep and measured objects
+    document.getElementById('sweepTime').addEventListener('input', function(e) {
+        sweepTime = parseFloat(e.target.value);
+        showSweep = true;
+        document.getElementById('showSweep').checked = true;
+        updateSweepControls();
+        updateSweepInfo();
+    });
+    
+    document.getElementById('sweepFrame').addEventListener('change', function(e) {
+        sweepFrame = e.target.value;
+        updateSweepControls();
+        updateSweepInfo();
+    });
+    
+    document.getElementById('playSweep').addEventListener('click', function() {
+        setSweepPlaying(!sweepPlaying);
+    });
+    
+    document.getElementById('showSweep').addEventListener('change', function(e) {
+        showSweep = e.target.checked;
+        if (!showSweep) setSweepPlaying(false);
+    });
+    
+    document.getElementById('addRod').addEventListener('click', function() {
+        addSceneObject('rod');
+    });
+    
+    document.getElementById('addClock').addEventListener('click', function() {
+        addSceneObject('clock');
+    });
+    
+    document.getElementById('clearObjects').addEventListener('click', function() {
+        sceneObjects = [];
+        updateInfo();
+    });
+    
+    // Display options
+    document.getElementById('showGrid').addEventListener('change', function(e) {
+        showGrid = e.target.checked;
+    });
+    
+    document.getElementById('showLightCones').addEventListener('change', function(e) {
+        showLightCones = e.target.checked;
+    });
     
     document.getElementById('showTransformed').addEventListener('change', function(e) {
         showTransformed = e.target.checked;
     });
     
+    document.getElementById('showPrimedGrid').addEventListener('change', function(e) {
+        showPrimedGrid = e.target.checked;
+    });
+    
+    document.getElementById('showHyperbolae').addEventListener('change', function(e) {
+        showHyperbolae = e.target.checked;
+    });
+    
+    document.getElementById('viewPrimed').addEventListener('change', function(e) {
+        viewFrame = e.target.checked ? "S'" : 'S';
+    });
+    
+    // Tachyons
+    document.getElementById('showTachyons').addEventListener('change', function(e) {
+        showTachyons = e.target.checked;
+        updateInfo();
+    });
+    
+    document.getElementById('showTachyonLoop').addEventListener('change', function(e) {
+        showTachyonLoop = e.target.checked;
+        if (showTachyonLoop) {
+            showTachyons = true;
+            document.getElementById('showTachyons').checked = true;
+        }
+        updateInfo();
+    });
+    
+    document.getElementById('animateReversal').addEventListener('click', function() {
+        let tachyon = tachyonPair();
+        if (!tachyon) {
+            alert('Select a pair of events that are spacelike separated along x to send a tachyon between them.');
+            return;
+        }
+        let target = reversalBeta(tachyon);
+        if (target === null) {
+            alert(`The order only reverses for β beyond ${tachyon.critical.toFixed(3)}, past the ${MAX_BETA}c limit of the slider.`);
+            return;
+        }
+        
+        // Watch from S' so the diagram boosts along with the velocity
+        showTachyons = true;
+        document.getElementById('showTachyons').checked = true;
+        viewFrame = "S'";
+        document.getElementById('viewPrimed').checked = true;
+        boostAnimation = {from: rapidity, to: Relativity.rapidity(target), elapsed: 0};
+    });
+    
     // Calculate interval button
     document.getElementById('calculateInterval').addEventListener('click', function() {
         updateInfo();
@@ -368,69 +1590,1777 @@ function setupControls() {
     
     // Reset view button
     document.getElementById('resetView').addEventListener('click', function() {
-        beta = 0;
-        gamma = 1;
-        document.getElementById('velocitySlider').value = 0;
-        document.getElementById('velocityValue').textContent = '0.00c';
-        document.getElementById('gammaValue').textContent = '1.00';
+        setVelocity(0);
+        compositionSteps = [];
+        resetZoom();
         updateInfo();
     });
 }
 
-function calculateInterval() {
-    if (events.length >= 2) {
-        let dx = events[1].x - events[0].x;
-        let dct = events[1].ct - events[0].ct;
-        return dx * dx - dct * dct; // Δs² = Δx² - Δt² (c=1 units)
+function nextEventLabel() {
+    // A, B, …, Z, then A1, B1, … so labels stay unique without a cap
+    let used = new Set(events.map(event => event.label));
+    for (let round = 0; ; round++) {
+        for (let i = 0; i < 26; i++) {
+            let label = String.fromCharCode(65 + i) + (round === 0 ? '' : round);
+            if (!used.has(label)) return label;
+        }
+    }
+}
+
+function deleteEvent(event) {
+    events = events.filter(other => other !== event);
+    signals = signals.filter(signal => signal.source !== event);
+    pruneWorldlines();
+    if (currentWorldline && currentWorldline.points.includes(event)) {
+        currentWorldline = null;
+    }
+    renderEventEditor();
+    updateInfo();
+}
+
+function renderEventEditor() {
+    let rows = events.map((event, index) => `
+        <tr data-index="${index}">
+            <td><input type="text" class="coord-input" data-field="label" value="${escapeHtml(event.label)}"></td>
+            <td><input type="color" data-field="color" value="${colorToHex(event.color)}"></td>
+            <td><input type="number" class="coord-input" data-field="x" step="0.1" value="${event.x.toFixed(2)}"></td>${spaceMode === '3d' ?
+            `<td><input type="number" class="coord-input" data-field="y" step="0.1" value="${event.y.toFixed(2)}"></td>` : ''}
+            <td><input type="number" class="coord-input" data-field="ct" step="0.1" value="${event.ct.toFixed(2)}"></td>
+            <td><button class="btn btn-danger delete-event" title="Delete event">✕</button></td>
+        </tr>
+    `);
+    
+    document.getElementById('eventEditor').innerHTML = events.length === 0 ?
+        '<tr><td colspan="6">No events. Click "Add Event" to place one.</td></tr>' :
+        `<tr><th>Label</th><th>Colour</th><th>x</th>${spaceMode === '3d' ? '<th>y</th>' : ''}<th>ct</th><th></th></tr>` + rows.join('');
+    
+    renderDragReferenceOptions();
+}
+
+function updateEventEditorValues() {
+    // Refresh coordinates in place so a field being typed in keeps its focus
+    document.querySelectorAll('#eventEditor tr[data-index]').forEach(row => {
+        let event = events[parseInt(row.dataset.index)];
+        if (!event) return;
+        for (let field of ['x', 'ct']) {
+            let input = row.querySelector(`[data-field="${field}"]`);
+            if (input !== document.activeElement) input.value = event[field].toFixed(2);
+        }
+    });
+}
+
+function colorToHex(color) {
+    return '#' + color.slice(0, 3).map(c => Math.round(c).toString(16).padStart(2, '0')).join('');
+}
+
+function hexToColor(hex) {
+    return [1, 3, 5].map(i => parseInt(hex.substr(i, 2), 16));
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
+function setVelocity(newBeta) {
+    // Keep |β| below the slider limit so γ stays finite
+    beta = Math.max(-MAX_BETA, Math.min(MAX_BETA, newBeta));
+    gamma = Relativity.gamma(beta);
+    rapidity = Relativity.rapidity(beta);
+    
+    document.getElementById('velocitySlider').value = beta;
+    document.getElementById('velocityValue').textContent = (beta >= 0 ? '+' : '') + beta.toFixed(2) + 'c';
+    document.getElementById('gammaValue').textContent = gamma.toFixed(2);
+    
+    // Don't overwrite the rapidity box while the user is typing in it
+    let rapidityInput = document.getElementById('rapidityInput');
+    if (document.activeElement !== rapidityInput) {
+        rapidityInput.value = rapidity.toFixed(3);
+    }
+}
+
+function calculateInterval(from, to) {
+    // Defaults to the pair selected in the causal-structure table
+    if (!from || !to) {
+        let pair = getSelectedPair();
+        if (!pair) return 0;
+        [from, to] = pair;
+    }
+    let d = separation(from, to);
+    return Relativity.interval(d.x, d.ct, d.y); // Δs² = Δx² + Δy² - Δt² (c=1 units)
+}
+
+function separation(from, to) {
+    // y only counts in 2+1D; the 1+1D diagram, its light cones and snapping use x and ct alone
+    return {x: to.x - from.x, y: spaceMode === '3d' ? (to.y || 0) - (from.y || 0) : 0, ct: to.ct - from.ct};
+}
+
+function classifyInterval(interval) {
+    // Allow for rounding so events placed on a light cone read as lightlike
+    let type = Relativity.classifyInterval(interval, LIGHTLIKE_TOLERANCE);
+    if (type === 'lightlike') {
+        return {type: 'Lightlike', description: 'Lightlike (on light cone)', color: '#fff59d'};
+    } else if (type === 'timelike') {
+        return {type: 'Timelike', description: 'Timelike (causally connected)', color: '#ef9a9a'};
+    }
+    return {type: 'Spacelike', description: 'Spacelike (no causal connection)', color: '#a5d6a7'};
+}
+
+function canInfluence(from, to) {
+    // A signal from `from` reaches `to` only if `to` lies on or inside its future light cone
+    let d = separation(from, to);
+    return d.ct > 0 && Math.hypot(d.x, d.y) <= d.ct + LIGHTLIKE_TOLERANCE;
+}
+
+function getSelectedPair() {
+    // Fall back to the first two events if the selection was deleted
+    if (selectedPair && selectedPair.every(event => events.includes(event))) {
+        return selectedPair;
+    }
+    selectedPair = events.length >= 2 ? [events[0], events[1]] : null;
+    return selectedPair;
+}
+
+function selectPair(i, j) {
+    selectedPair = [events[i], events[j]];
+    updateInfo();
+}
+
+function isTimelikeSegment(p1, p2) {
+    // A clock can follow a segment only if it moves at or below light speed
+    // and forward in time (lightlike segments accumulate zero proper time)
+    let dx = p2.x - p1.x;
+    let dct = p2.ct - p1.ct;
+    return dct > 0 && Math.abs(dx) <= dct;
+}
+
+function calculateProperTime(points) {
+    let tau = 0;
+    let valid = true;
+    
+    for (let i = 1; i < points.length; i++) {
+        if (!isTimelikeSegment(points[i - 1], points[i])) {
+            valid = false;
+            continue;
+        }
+        // cΔτ = √(Δct² - Δx²)
+        tau += Relativity.properTime(points[i].x - points[i - 1].x, points[i].ct - points[i - 1].ct);
+    }
+    
+    return {tau: tau, valid: valid};
+}
+
+function updateCausalStructure() {
+    let pair = getSelectedPair();
+    let rows = [];
+    
+    for (let i = 0; i < events.length; i++) {
+        for (let j = i + 1; j < events.length; j++) {
+            let interval = calculateInterval(events[i], events[j]);
+            let classification = classifyInterval(interval);
+            let selected = pair && pair[0] === events[i] && pair[1] === events[j];
+            rows.push(`
+                <tr class="pair-row${selected ? ' selected' : ''}" data-i="${i}" data-j="${j}">
+                    <td>${escapeHtml(events[i].label)}–${escapeHtml(events[j].label)}</td>
+                    <td>${interval.toFixed(2)}</td>
+                    <td style="color: ${classification.color};">${classification.type}</td>
+                </tr>
+            `);
+        }
     }
-    return 0;
+    
+    document.getElementById('intervalTable').innerHTML = rows.length === 0 ?
+        '<tr><td colspan="3">Add at least two events</td></tr>' :
+        '<tr><th>Pair</th><th>Δs²</th><th>Type</th></tr>' + rows.join('');
+    
+    // Causal partial order: which events lie in each event's future light cone
+    document.getElementById('causalOrder').innerHTML = events.map(from => {
+        let reachable = events.filter(to => to !== from && canInfluence(from, to));
+        let targets = reachable.length > 0 ? reachable.map(to => escapeHtml(to.label)).join(', ') : 'none';
+        return `<div>${escapeHtml(from.label)} can influence: ${targets}</div>`;
+    }).join('');
 }
 
 function updateInfo() {
-    // Update interval value
+    // Update interval value for the selected pair
+    let pair = getSelectedPair();
     let interval = calculateInterval();
-    document.getElementById('intervalValue').textContent = interval.toFixed(2);
+    let classification = classifyInterval(interval);
+    document.getElementById('intervalPair').textContent = pair ? `${pair[0].label}–${pair[1].label}` : '—';
+    document.getElementById('intervalValue').textContent = pair ? interval.toFixed(2) : '—';
     
     // Determine interval type
-    let intervalType = '';
-    let intervalColor = '';
-    if (interval < 0) {
-        intervalType = 'Timelike (causally connected)';
-        intervalColor = '#ef9a9a';
-    } else if (interval > 0) {
-        intervalType = 'Spacelike (no causal connection)';
-        intervalColor = '#a5d6a7';
-    } else {
-        intervalType = 'Lightlike (on light cone)';
-        intervalColor = '#fff59d';
-    }
+    let intervalType = pair ? classification.description : 'Need at least two events';
+    let intervalColor = classification.color;
     document.getElementById('intervalType').textContent = intervalType;
     document.getElementById('intervalType').style.color = intervalColor;
     
+    // Update pairwise table and causal order
+    updateCausalStructure();
+    
     // Update event coordinates display
-    document.getElementById('eventACoords').textContent = 
-        `${events[0].x.toFixed(2)}, ${events[0].ct.toFixed(2)}`;
-    document.getElementById('eventBCoords').textContent = 
-        `${events[1].x.toFixed(2)}, ${events[1].ct.toFixed(2)}`;
+    document.getElementById('eventList').innerHTML = events.map(event => spaceMode === '3d' ?
+        `<div>Event ${escapeHtml(event.label)}: (${event.x.toFixed(2)}, ${event.y.toFixed(2)}, ${event.ct.toFixed(2)})</div>` :
+        `<div>Event ${escapeHtml(event.label)}: (${event.x.toFixed(2)}, ${event.ct.toFixed(2)})</div>`
+    ).join('');
     
     // Update event count
-    document.getElementById('eventCount').textContent = `${events.length} events`;
+    document.getElementById('eventCount').textContent = `${events.length} event${events.length === 1 ? '' : 's'}`;
     
     // Update causality result
     document.getElementById('causalityResult').textContent = intervalType;
     document.getElementById('causalityResult').style.color = intervalColor;
     
+    // Update boost composition
+    let compositionInfo = document.getElementById('compositionInfo');
+    if (compositionSteps.length >= 2) {
+        let phis = compositionSteps.map(Relativity.rapidity);
+        let total = phis.reduce((sum, phi) => sum + phi, 0);
+        compositionInfo.innerHTML =
+            `φ = ${phis.map(phi => phi.toFixed(3)).join(' + ')} = ${total.toFixed(3)}<br>` +
+            `β = tanh φ = ${Relativity.betaFromRapidity(total).toFixed(3)}` +
+            (Math.abs(total - rapidity) > 1e-9 ?
+                `<br><span style="color: #ff8a80;">Limit reached: applied β = ${beta.toFixed(3)}, φ = ${rapidity.toFixed(3)} (|β| ≤ ${MAX_BETA})</span>` : '');
+    } else {
+        compositionInfo.textContent = 'Compose boosts to see their rapidities add';
+    }
+    
+    // Update proper time along each worldline
+    let worldlineInfo = document.getElementById('worldlineInfo');
+    if (worldlines.length === 0) {
+        worldlineInfo.textContent = 'No worldlines yet';
+    } else {
+        worldlineInfo.innerHTML = worldlines.map(worldline => {
+            let points = worldline.points;
+            let result = calculateProperTime(points);
+            let coordTime = points[points.length - 1].ct - points[0].ct;
+            if (!result.valid) {
+                return `<div style="color: #ff8a80;">${escapeHtml(worldline.label)}: faster than light — τ undefined</div>`;
+            }
+            return `<div>${escapeHtml(worldline.label)}: τ = ${result.tau.toFixed(2)}, Δct = ${coordTime.toFixed(2)}</div>`;
+        }).join('');
+    }
+    updateWorldlineStatus();
+    
+    // Update horizons of the accelerated observers
+    updateRindlerInfo();
+    
+    // Update radar readings for every light signal
+    updateRadarInfo();
+    updateSignalButtons();
+    
+    // Update velocity addition and coordinates in every frame
+    updateFrameInfo();
+    
+    // Update rod lengths and clock readings in the sweep frame
+    updateSweepInfo();
+    
+    // Update the order-reversal range for a tachyon between the selected pair
+    updateTachyonInfo();
+    
     // Update transformation info
-    if (beta > 0.01) {
-        let xPrime = gamma * (events[0].x - beta * events[0].ct);
-        let ctPrime = gamma * (events[0].ct - beta * events[0].x);
+    if (Math.abs(beta) > 0.01) {
+        // In 2+1D the boost points along θ in the x–y plane
+        let boostMatrix = Relativity.boostMatrix(beta * Math.cos(boostAngle), beta * Math.sin(boostAngle));
+        let primed = events.map(event => {
+            if (spaceMode === '3d') {
+                let primed = Relativity.transformFourVector(boostMatrix, Relativity.fourVector(event.ct, event.x, event.y || 0));
+                return `${escapeHtml(event.label)}' = (${primed.x.toFixed(2)}, ${primed.y.toFixed(2)}, ${primed.ct.toFixed(2)})<br>`;
+            }
+            let primed = Relativity.boost(event.x, event.ct, beta);
+            return `${escapeHtml(event.label)}' = (${primed.x.toFixed(2)}, ${primed.ct.toFixed(2)})<br>`;
+        });
         document.getElementById('transformInfo').innerHTML = 
-            `A' = (${xPrime.toFixed(2)}, ${ctPrime.toFixed(2)})<br>` +
-            `γ = ${gamma.toFixed(2)}`;
+            primed.join('') +
+            `β = ${beta.toFixed(3)}, γ = ${gamma.toFixed(2)}, φ = ${rapidity.toFixed(3)}`;
     } else {
         document.getElementById('transformInfo').textContent = 
             'Apply velocity to see transformed coordinates';
     }
+    
+    // Let screen readers hear the new values once they settle
+    scheduleAnnouncement();
+}
+
+function diagramLegend() {
+    // Only list what is currently drawn
+    let items = [{color: colors.axes, label: 'S frame axes (x, ct)'}];
+    if (Math.abs(beta) > 0.01 && showTransformed) {
+        items.push({color: colors.transformed, label: `S' frame axes (β = ${beta.toFixed(2)})`});
+    }
+    if (showLightCones) items.push({color: colors.lightCone, label: 'Light cone (x = ±ct)'});
+    if (showHyperbolae) items.push({color: colors.hyperbola, label: 'Invariant hyperbolae s² = ±n²'});
+    if (worldlines.length > 0) items.push({color: colors.worldline, label: 'Worldlines (ticks every unit τ)'});
+    if (showTransformed) {
+        for (let frame of frames) {
+            let frameBeta = Relativity.betaFromRapidity(frameRapidity(frame.label));
+            items.push({color: frame.color, label: `${frame.label} frame axes (β = ${frameBeta.toFixed(2)})`});
+        }
+    }
+    if (rindlerObservers.length > 0) items.push({color: colors.rindler, label: 'Accelerated observers (ticks every τ)'});
+    if (rindlerObservers.length > 0 && showHorizons) items.push({color: colors.horizon, label: 'Beyond the Rindler horizon'});
+    if (signals.length > 0) items.push({color: colors.signal, label: 'Light signals (reflect off worldlines)'});
+    if (showTachyons && tachyonPair()) items.push({color: colors.tachyon, label: 'Tachyon signals (faster than light)'});
+    if (sceneObjects.some(object => object.type === 'rod')) items.push({color: colors.rod, label: 'Rods (ends at rest length L₀)'});
+    if (sceneObjects.some(object => object.type === 'clock')) items.push({color: colors.clock, label: 'Clocks (ticks every unit τ)'});
+    if (showSweep) items.push({color: colors.sweep, label: `Simultaneity ct${framePrimes(sweepFrame)} = ${sweepTime.toFixed(2)}`});
+    return items;
+}
+
+// ===== REFERENCE FRAMES =====
+
+function frameRapidity(label) {
+    // Rapidities add along the chain of parents back to S
+    if (label === 'S') return 0;
+    if (label === "S'") return rapidity;
+    let frame = frames.find(f => f.label === label);
+    return frame ? frameRapidity(frame.parent) + Relativity.rapidity(frame.beta) : 0;
+}
+
+function framePrimes(label) {
+    return label.slice(1);
+}
+
+function frameLabels() {
+    return ['S', "S'"].concat(frames.map(frame => frame.label));
+}
+
+function nextFrameLabel() {
+    let used = new Set(frameLabels());
+    for (let primes = 2; ; primes++) {
+        let label = 'S' + "'".repeat(primes);
+        if (!used.has(label)) return label;
+    }
+}
+
+function deleteFrame(frame) {
+    // Frames defined relative to this one keep their velocity in S
+    for (let child of frames) {
+        if (child.parent !== frame.label) continue;
+        child.beta = Relativity.addVelocities(child.beta, frame.beta);
+        child.parent = frame.parent;
+    }
+    frames.splice(frames.indexOf(frame), 1);
+    if (sweepFrame === frame.label) sweepFrame = 'S';
+    
+    renderFrameEditor();
+    updateSweepControls();
+    updateInfo();
+}
+
+function renderFrameEditor() {
+    // A frame can only be defined relative to S, S' or a frame listed above it
+    let rows = frames.map((frame, index) => {
+        let parents = ['S', "S'"].concat(frames.slice(0, index).map(f => f.label));
+        let options = parents.map(label =>
+            `<option value="${escapeHtml(label)}"${label === frame.parent ? ' selected' : ''}>${escapeHtml(label)}</option>`
+        ).join('');
+        return `
+        <tr data-index="${index}">
+            <td>${escapeHtml(frame.label)}</td>
+            <td><input type="number" class="coord-input" data-field="beta" min="-0.99" max="0.99" step="0.05" value="${frame.beta.toFixed(2)}"></td>
+            <td><select class="coord-input" data-field="parent">${options}</select></td>
+            <td><input type="color" data-field="color" value="${colorToHex(frame.color)}"></td>
+            <td><button class="btn btn-danger delete-frame" title="Delete frame">✕</button></td>
+        </tr>
+    `;
+    });
+    
+    document.getElementById('frameEditor').innerHTML = frames.length === 0 ?
+        `<tr><td colspan="5">Only S and S' so far. Click "Add Frame" for S''.</td></tr>` :
+        '<tr><th>Frame</th><th>β</th><th>relative to</th><th>Colour</th><th></th></tr>' + rows.join('');
+    
+    renderFrameSelects();
+}
+
+function renderFrameSelects() {
+    // Keep every frame picker in step with the list of frames
+    let labels = frameLabels();
+    for (let id of ['sweepFrame', 'relativeFrom', 'relativeTo']) {
+        let select = document.getElementById(id);
+        let current = labels.includes(select.value) ? select.value : null;
+        select.innerHTML = labels.map(label =>
+            `<option value="${escapeHtml(label)}">${escapeHtml(label)}</option>`
+        ).join('');
+        select.value = current || (id === 'relativeTo' ? "S'" : 'S');
+    }
+    document.getElementById('sweepFrame').value = sweepFrame;
+}
+
+function updateFrameInfo() {
+    // Velocity of one frame as measured in another, by the addition law
+    let from = document.getElementById('relativeFrom').value || 'S';
+    let to = document.getElementById('relativeTo').value || "S'";
+    let u = Relativity.betaFromRapidity(frameRapidity(to));
+    let v = Relativity.betaFromRapidity(frameRapidity(from));
+    let relative = Relativity.relativeVelocity(u, v);
+    // Frames each below c can still round to |β| = 1 relative to each other
+    let relativeGamma = Math.abs(relative) < 1 ? Relativity.gamma(relative).toFixed(3) : 'undefined (|β| rounds to 1)';
+    document.getElementById('relativeVelocity').innerHTML =
+        `β of ${escapeHtml(to)} in S = ${u.toFixed(3)}, β of ${escapeHtml(from)} in S = ${v.toFixed(3)}<br>` +
+        `β of ${escapeHtml(to)} in ${escapeHtml(from)} = (${u.toFixed(3)} - ${v.toFixed(3)}) / ` +
+        `(1 - ${u.toFixed(3)}·${v.toFixed(3)}) = <strong>${relative.toFixed(3)}</strong><br>` +
+        `γ = ${relativeGamma}, ` +
+        `Galilean u - v would give ${(u - v).toFixed(3)}`;
+    
+    // Coordinates of every event in every frame
+    let labels = frameLabels();
+    let header = '<tr><th>Event</th>' + labels.map(label => `<th>${escapeHtml(label)}</th>`).join('') + '</tr>';
+    let rows = events.map(event => '<tr><td>' + escapeHtml(event.label) + '</td>' + labels.map(label => {
+        let p = boostCoords(event.x, event.ct, frameRapidity(label));
+        return `<td>(${p.x.toFixed(2)}, ${p.ct.toFixed(2)})</td>`;
+    }).join('') + '</tr>');
+    document.getElementById('frameCoordinates').innerHTML = events.length === 0 ?
+        '<tr><td>No events</td></tr>' : header + rows.join('');
+}
+
+// ===== TIME SWEEP =====
+
+function sweepRapidity() {
+    return frameRapidity(sweepFrame);
+}
+
+function objectEnds(object) {
+    // Positions at ct = 0 in S; a rod of rest length L₀ is contracted to L₀/γ there
+    if (object.type === 'clock') return [object.x];
+    return [object.x, object.x + Relativity.contractedLength(object.length, object.beta)];
+}
+
+function sweepCrossing(x0, objectBeta) {
+    // Solve ct_F = T for the worldline x = x₀ + β·ct; the denominator is
+    // always positive because |β| < 1 and cosh φ > |sinh φ|
+    let phi = sweepRapidity();
+    let ct = (sweepTime + Math.sinh(phi) * x0) / (Math.cosh(phi) - Math.sinh(phi) * objectBeta);
+    return {x: x0 + objectBeta * ct, ct: ct};
+}
+
+function measureObject(object) {
+    let phi = sweepRapidity();
+    let points = objectEnds(object).map(x0 => sweepCrossing(x0, object.beta));
+    
+    if (object.type === 'rod') {
+        // Both ends are read off at the same sweep-frame time
+        let rear = boostCoords(points[0].x, points[0].ct, phi);
+        let front = boostCoords(points[1].x, points[1].ct, phi);
+        return {points: points, length: front.x - rear.x};
+    }
+    
+    // The clock reads zero where it crosses ct = 0 in S
+    let start = boostCoords(object.x, 0, phi);
+    return {points: points, tau: points[0].ct / Relativity.gamma(object.beta), elapsed: sweepTime - start.ct};
+}
+
+function addSceneObject(type) {
+    let objectBeta = parseFloat(document.getElementById('objectBeta').value);
+    let x = parseFloat(document.getElementById('objectX').value);
+    let length = parseFloat(document.getElementById('rodLength').value);
+    
+    if (isNaN(objectBeta) || Math.abs(objectBeta) >= 1) {
+        alert('The object velocity must satisfy -1 < β < 1');
+        return;
+    }
+    if (isNaN(x) || (type === 'rod' && !(length > 0))) {
+        alert('Please enter a position and a positive rod length');
+        return;
+    }
+    
+    let count = sceneObjects.filter(object => object.type === type).length;
+    sceneObjects.push({
+        type: type,
+        label: (type === 'rod' ? 'Rod ' : 'Clock ') + (count + 1),
+        x: x,
+        beta: objectBeta,
+        length: type === 'rod' ? length : 0
+    });
+    
+    // Adding an object is pointless without the sweep that measures it
+    showSweep = true;
+    document.getElementById('showSweep').checked = true;
+    updateInfo();
+}
+
+function advanceSweep(seconds) {
+    sweepTime += seconds * SWEEP_SPEED;
+    if (sweepTime > SWEEP_MAX) sweepTime = SWEEP_MIN; // Loop back to the start
+    updateSweepControls();
+    updateSweepInfo();
+}
+
+function setSweepPlaying(playing) {
+    sweepPlaying = playing;
+    if (playing) {
+        showSweep = true;
+        document.getElementById('showSweep').checked = true;
+    }
+    document.getElementById('playSweep').textContent = playing ? 'Pause' : 'Play';
+}
+
+function updateSweepControls() {
+    let primeMark = framePrimes(sweepFrame);
+    document.getElementById('sweepTime').value = sweepTime;
+    document.getElementById('sweepTimeValue').textContent = `ct${primeMark} = ${sweepTime.toFixed(2)}`;
+    document.getElementById('sweepFrame').value = sweepFrame;
+}
+
+function updateSweepInfo() {
+    let sweepInfo = document.getElementById('sweepInfo');
+    if (sceneObjects.length === 0) {
+        sweepInfo.textContent = 'Add a rod or clock to measure it';
+        return;
+    }
+    
+    // Velocity of each object relative to the sweep frame, by subtracting rapidities
+    let primeMark = framePrimes(sweepFrame);
+    let phi = sweepRapidity();
+    sweepInfo.innerHTML = `<div>Measured in ${escapeHtml(sweepFrame)} at ct${primeMark} = ${sweepTime.toFixed(2)}:</div>` +
+        sceneObjects.map(object => {
+            let relativeBeta = Relativity.betaFromRapidity(Relativity.rapidity(object.beta) - phi);
+            if (Math.abs(relativeBeta) >= 1) {
+                return `<div style="color: #ff8a80;">${escapeHtml(object.label)}: moves at c relative to ${escapeHtml(sweepFrame)} after rounding — γ undefined</div>`;
+            }
+            let relativeGamma = Relativity.gamma(relativeBeta);
+            let measured = measureObject(object);
+            if (object.type === 'rod') {
+                return `<div style="color: #a5d6a7;">${escapeHtml(object.label)} (L₀ = ${object.length.toFixed(2)}, ` +
+                    `β${primeMark} = ${relativeBeta.toFixed(2)}): L${primeMark} = ${measured.length.toFixed(2)} ` +
+                    `= L₀/${relativeGamma.toFixed(2)}</div>`;
+            }
+            return `<div style="color: #ffcc80;">${escapeHtml(object.label)} (β${primeMark} = ${relativeBeta.toFixed(2)}): ` +
+                `Δct${primeMark} = ${measured.elapsed.toFixed(2)}, reads τ = ${measured.tau.toFixed(2)}</div>`;
+        }).join('');
+}
+
+// ===== 2+1D MODE =====
+
+function boost3D(p, phi, angle) {
+    // Boost by rapidity φ along the unit vector n = (cos θ, sin θ) in the x–y plane
+    let nx = Math.cos(angle);
+    let ny = Math.sin(angle);
+    let along = p.x * nx + p.y * ny;
+    let boosted = Relativity.boostByRapidity(along, p.ct, phi);
+    return {
+        x: p.x + (boosted.x - along) * nx,
+        y: p.y + (boosted.x - along) * ny,
+        ct: boosted.ct
+    };
+}
+
+function toView3D(p) {
+    // Events are stored in S and drawn in the frame being viewed
+    return boost3D({x: p.x, y: p.y || 0, ct: p.ct}, viewRapidity, boostAngle);
+}
+
+function toGL(p) {
+    // ct points up the screen and y away from the viewer, keeping (x, y, ct) right-handed
+    let v = toView3D(p);
+    return {x: v.x * UNIT_3D, y: -v.ct * UNIT_3D, z: -v.y * UNIT_3D};
+}
+
+function cameraEye() {
+    return {
+        x: camDistance * Math.cos(camPitch) * Math.sin(camYaw),
+        y: -camDistance * Math.sin(camPitch),
+        z: camDistance * Math.cos(camPitch) * Math.cos(camYaw)
+    };
+}
+
+function project3D(p) {
+    // Same look-at and perspective as the WEBGL camera, so 2D labels line up with the scene
+    let eye = cameraEye();
+    let zAxis = normalize3({x: eye.x, y: eye.y, z: eye.z});
+    let xAxis = normalize3(cross3({x: 0, y: 1, z: 0}, zAxis));
+    let yAxis = cross3(zAxis, xAxis);
+    let d = {x: p.x - eye.x, y: p.y - eye.y, z: p.z - eye.z};
+    let depth = -(d.x * zAxis.x + d.y * zAxis.y + d.z * zAxis.z);
+    if (depth <= 1) return null; // Behind the camera
+    
+    let f = 1 / Math.tan(FOV_3D / 2);
+    let vx = d.x * xAxis.x + d.y * xAxis.y + d.z * xAxis.z;
+    let vy = d.x * yAxis.x + d.y * yAxis.y + d.z * yAxis.z;
+    return {
+        x: width / 2 + (f * height / width) * vx / depth * width / 2,
+        y: height / 2 + f * vy / depth * height / 2
+    };
+}
+
+function cross3(a, b) {
+    return {x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x};
+}
+
+function normalize3(v) {
+    let len = Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+    return {x: v.x / len, y: v.y / len, z: v.z / len};
+}
+
+function drawSpacetime3D() {
+    if (!graphics3D) graphics3D = createGraphics(width, height, WEBGL);
+    let g = graphics3D;
+    
+    g.background(colors.background);
+    g.perspective(FOV_3D, width / height, 1, 20000);
+    let eye = cameraEye();
+    g.camera(eye.x, eye.y, eye.z, 0, 0, 0, 0, 1, 0);
+    
+    // Grid in the ct = 0 plane of the viewed frame
+    if (showGrid) {
+        g.stroke(colors.grid);
+        g.strokeWeight(1);
+        for (let i = -AXIS_3D; i <= AXIS_3D; i++) {
+            g.line(i * UNIT_3D, 0, -AXIS_3D * UNIT_3D, i * UNIT_3D, 0, AXIS_3D * UNIT_3D);
+            g.line(-AXIS_3D * UNIT_3D, 0, i * UNIT_3D, AXIS_3D * UNIT_3D, 0, i * UNIT_3D);
+        }
+    }
+    
+    // Axes of the viewed frame are drawn straight; S' axes are boosted back from S'
+    let axes = [
+        {x: AXIS_3D, y: 0, ct: 0}, {x: 0, y: AXIS_3D, ct: 0}, {x: 0, y: 0, ct: AXIS_3D}
+    ];
+    g.strokeWeight(2);
+    g.stroke(colors.axes);
+    for (let axis of axes) {
+        let tip = toGL(axis);
+        let tail = toGL({x: -axis.x, y: -axis.y, ct: -axis.ct});
+        g.line(tail.x, tail.y, tail.z, tip.x, tip.y, tip.z);
+    }
+    if (Math.abs(beta) > 0.01 && showTransformed) {
+        g.stroke(colors.transformed);
+        for (let axis of axes) {
+            let tip = toGL(boost3D(axis, -rapidity, boostAngle));
+            let tail = toGL(boost3D({x: -axis.x, y: -axis.y, ct: -axis.ct}, -rapidity, boostAngle));
+            g.line(tail.x, tail.y, tail.z, tip.x, tip.y, tip.z);
+        }
+    }
+    
+    // Worldlines as polylines; freehand points lie in the y = 0 plane
+    g.strokeWeight(3);
+    for (let worldline of worldlines) {
+        g.stroke(worldline.color);
+        for (let i = 1; i < worldline.points.length; i++) {
+            let p1 = toGL(worldline.points[i - 1]);
+            let p2 = toGL(worldline.points[i]);
+            g.line(p1.x, p1.y, p1.z, p2.x, p2.y, p2.z);
+        }
+    }
+    
+    // Connecting line of the selected pair, coloured by the interval type
+    let pair = getSelectedPair();
+    if (pair) {
+        let p1 = toGL(pair[0]);
+        let p2 = toGL(pair[1]);
+        g.stroke(classifyInterval(calculateInterval(pair[0], pair[1])).color);
+        g.strokeWeight(2);
+        g.line(p1.x, p1.y, p1.z, p2.x, p2.y, p2.z);
+    }
+    
+    // Events as spheres
+    g.noStroke();
+    for (let event of events) {
+        let p = toGL(event);
+        g.push();
+        g.translate(p.x, p.y, p.z);
+        g.fill(event.color);
+        g.sphere(6);
+        g.pop();
+    }
+    
+    // Translucent surfaces last, without depth writes so they never hide each other
+    g.drawingContext.depthMask(false);
+    if (Math.abs(beta) > 0.01 && showTransformed) {
+        // S' plane of simultaneity through the origin
+        let corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]]
+            .map(([a, b]) => toGL(boost3D({x: a * AXIS_3D, y: b * AXIS_3D, ct: 0}, -rapidity, boostAngle)));
+        g.fill(colors.transformed[0], colors.transformed[1], colors.transformed[2], 40);
+        g.beginShape();
+        for (let c of corners) g.vertex(c.x, c.y, c.z);
+        g.endShape(CLOSE);
+    }
+    if (showLightCones) {
+        for (let event of events) {
+            let highlighted = pair && pair.includes(event);
+            g.fill(event.color[0], event.color[1], event.color[2], highlighted ? 70 : 35);
+            drawLightConeSurface(g, event, 1);
+            drawLightConeSurface(g, event, -1);
+        }
+    }
+    g.drawingContext.depthMask(true);
+    
+    image(g, 0, 0, width, height);
+    drawLabels3D();
+}
+
+function drawLightConeSurface(g, event, direction) {
+    // Cone of light rays from the event; the same shape in every frame
+    let centre = toView3D(event);
+    let apex = {x: centre.x * UNIT_3D, y: -centre.ct * UNIT_3D, z: -centre.y * UNIT_3D};
+    let segments = 36;
+    
+    let rim = angle => ({
+        x: (centre.x + CONE_HEIGHT_3D * Math.cos(angle)) * UNIT_3D,
+        y: -(centre.ct + direction * CONE_HEIGHT_3D) * UNIT_3D,
+        z: -(centre.y + CONE_HEIGHT_3D * Math.sin(angle)) * UNIT_3D
+    });
+    
+    g.beginShape(TRIANGLES);
+    for (let i = 0; i < segments; i++) {
+        let p1 = rim(i / segments * TWO_PI);
+        let p2 = rim((i + 1) / segments * TWO_PI);
+        g.vertex(apex.x, apex.y, apex.z);
+        g.vertex(p1.x, p1.y, p1.z);
+        g.vertex(p2.x, p2.y, p2.z);
+    }
+    g.endShape();
+}
+
+function drawLabels3D() {
+    // WEBGL text needs a loaded font, so labels are drawn on the 2D canvas
+    noStroke();
+    textSize(14);
+    textAlign(CENTER, CENTER);
+    
+    let axisLabels = [
+        {p: {x: AXIS_3D + 0.6, y: 0, ct: 0}, label: 'x'},
+        {p: {x: 0, y: AXIS_3D + 0.6, ct: 0}, label: 'y'},
+        {p: {x: 0, y: 0, ct: AXIS_3D + 0.6}, label: 'ct'}
+    ];
+    fill(colors.axes);
+    for (let axis of axisLabels) {
+        let screen = project3D(toGL(axis.p));
+        if (screen) text(axis.label, screen.x, screen.y);
+    }
+    
+    fill(colors.text);
+    for (let event of events) {
+        let screen = project3D(toGL(event));
+        if (screen) text(event.label, screen.x, screen.y - 16);
+    }
+    
+    textSize(12);
+    textAlign(LEFT, TOP);
+    let frameName = viewFrame === 'S' ? 'S' : "S'";
+    text(`2+1D view from ${frameName} — drag to orbit, scroll to zoom. ` +
+        `Boost β = ${beta.toFixed(2)} at θ = ${degrees(boostAngle).toFixed(0)}°`, 10, 10);
+}
+
+function setSpaceMode(mode) {
+    spaceMode = mode;
+    draggedEvent = null;
+    document.getElementById('toggle3D').textContent = mode === '3d' ? 'Back to 1+1D' : 'Switch to 2+1D';
+    document.getElementById('toggle3D').classList.toggle('btn-primary', mode === '3d');
+    document.getElementById('intervalFormula').textContent = mode === '3d' ? 'Δs² = Δx² + Δy² - c²Δt²' : 'Δs² = Δx² - c²Δt²';
+    renderEventEditor();
+}
+
+// ===== ACCELERATED OBSERVERS =====
+
+function rindlerPoint(observer, tau) {
+    // Hyperbolic motion from rest at the start event: x = x₀ ± (cosh aτ - 1)/a, ct = ct₀ + sinh(aτ)/a
+    let alpha = Math.abs(observer.acceleration);
+    let side = Math.sign(observer.acceleration);
+    return {
+        x: observer.x + side * (Math.cosh(alpha * tau) - 1) / alpha,
+        ct: observer.ct + Math.sinh(alpha * tau) / alpha
+    };
+}
+
+function rindlerPivot(observer) {
+    // The event every comoving simultaneity line passes through, 1/a behind the start
+    return {x: observer.x - Math.sign(observer.acceleration) / Math.abs(observer.acceleration), ct: observer.ct};
+}
+
+function beyondHorizon(observer, point) {
+    // Future light cones from behind the horizon never meet the worldline
+    let pivot = rindlerPivot(observer);
+    return point.ct - pivot.ct >= Math.sign(observer.acceleration) * (point.x - pivot.x);
+}
+
+function shiftedCoordinate(name, origin) {
+    // "x - 2.00" or "x + 2.00" rather than "x - -2.00"
+    if (Math.abs(origin) < 0.005) return name;
+    return `${name} ${origin > 0 ? '-' : '+'} ${Math.abs(origin).toFixed(2)}`;
+}
+
+function addRindlerObserver() {
+    let acceleration = parseFloat(document.getElementById('rindlerAcceleration').value);
+    let x = parseFloat(document.getElementById('rindlerX').value);
+    let ct = parseFloat(document.getElementById('rindlerCt').value);
+    
+    if (isNaN(acceleration) || acceleration === 0) {
+        alert('Please enter a non-zero proper acceleration');
+        return;
+    }
+    if (isNaN(x) || isNaN(ct)) {
+        alert('Please enter valid coordinates for the start event');
+        return;
+    }
+    
+    rindlerObservers.push({label: `R${rindlerObservers.length + 1}`, x: x, ct: ct, acceleration: acceleration});
+    updateInfo();
+}
+
+function updateRindlerInfo() {
+    let rindlerInfo = document.getElementById('rindlerInfo');
+    if (rindlerObservers.length === 0) {
+        rindlerInfo.textContent = 'No accelerated observers';
+        return;
+    }
+    
+    rindlerInfo.innerHTML = rindlerObservers.map(observer => {
+        let pivot = rindlerPivot(observer);
+        let side = Math.sign(observer.acceleration);
+        let hidden = events.filter(event => beyondHorizon(observer, event)).map(event => escapeHtml(event.label));
+        return `<div style="margin-bottom: 6px;">${escapeHtml(observer.label)}: a = ${observer.acceleration.toFixed(2)}, ` +
+            `at rest at (${observer.x.toFixed(2)}, ${observer.ct.toFixed(2)})<br>` +
+            `horizon: ${shiftedCoordinate('ct', pivot.ct)} = ${side > 0 ? '' : '-'}(${shiftedCoordinate('x', pivot.x)})<br>` +
+            `can never receive signals from: ${hidden.length > 0 ? hidden.join(', ') : 'no events'}</div>`;
+    }).join('');
+}
+
+// ===== RADAR =====
+
+function signalReflectors(emitter) {
+    // Every worldline a light signal can bounce off, as straight segments
+    let segments = [];
+    for (let worldline of worldlines) {
+        for (let i = 1; i < worldline.points.length; i++) {
+            segments.push({p1: worldline.points[i - 1], p2: worldline.points[i], owner: worldline, index: i - 1});
+        }
+    }
+    
+    // Rods and clocks move forever, so their worldlines are long segments
+    let far = 10000;
+    for (let object of sceneObjects) {
+        for (let x0 of objectEnds(object)) {
+            segments.push({
+                p1: {x: x0 - object.beta * far, ct: -far},
+                p2: {x: x0 + object.beta * far, ct: far},
+                owner: object
+            });
+        }
+    }
+    
+    // Hyperbolic worldlines are followed closely with short chords
+    for (let observer of rindlerObservers) {
+        let tauMax = Math.asinh(Math.abs(observer.acceleration) * far) / Math.abs(observer.acceleration);
+        for (let i = 1; i <= 400; i++) {
+            segments.push({
+                p1: rindlerPoint(observer, tauMax * (i - 1) / 400),
+                p2: rindlerPoint(observer, tauMax * i / 400),
+                owner: observer
+            });
+        }
+    }
+    
+    // An emitter that is not on a worldline is taken to be at rest in S
+    if (!worldlines.includes(emitter.owner)) {
+        segments.push({p1: {x: emitter.x, ct: -far}, p2: {x: emitter.x, ct: far}, owner: emitter.owner});
+    }
+    return segments;
+}
+
+function signalEmitter(signal) {
+    let source = signal.source;
+    let worldline = worldlines.find(w => w.points.includes(source));
+    if (worldline) {
+        return {owner: worldline, x: source.x, index: worldline.points.indexOf(source)};
+    }
+    return {owner: {label: `observer at rest through ${source.label}`}, x: source.x};
+}
+
+function traceSignal(signal) {
+    let emitter = signalEmitter(signal);
+    let segments = signalReflectors(emitter);
+    let position = {x: signal.source.x, ct: signal.source.ct};
+    let direction = signal.direction;
+    let path = [position];
+    let hits = [];
+    
+    for (let bounce = 0; bounce <= MAX_REFLECTIONS; bounce++) {
+        // Nearest later crossing of the ray x = x₀ + d·(ct - ct₀) with a segment
+        let nearest = null;
+        for (let segment of segments) {
+            let dx = segment.p2.x - segment.p1.x;
+            let dct = segment.p2.ct - segment.p1.ct;
+            let denominator = dx - direction * dct;
+            if (Math.abs(denominator) < 1e-12) continue; // Segment runs along the signal
+            
+            let s = (position.x - segment.p1.x + direction * (segment.p1.ct - position.ct)) / denominator;
+            if (s < 0 || s > 1) continue;
+            let ct = segment.p1.ct + s * dct;
+            if (ct <= position.ct + 1e-9) continue;
+            if (!nearest || ct < nearest.point.ct) {
+                nearest = {point: {x: segment.p1.x + s * dx, ct: ct}, segment: segment, s: s};
+            }
+        }
+        
+        // Leave the diagram if nothing is in the way
+        if (!nearest) {
+            let reach = 1000;
+            path.push({x: position.x + direction * reach, ct: position.ct + reach});
+            break;
+        }
+        
+        path.push(nearest.point);
+        hits.push(nearest);
+        
+        // Stop once the echo is back with whoever sent it
+        if (nearest.segment.owner === emitter.owner) break;
+        
+        // A mirror sends the pulse back the other way
+        direction = -direction;
+        position = nearest.point;
+    }
+    
+    return {emitter: emitter, path: path, hits: hits};
+}
+
+function emitterProperTime(emitter, point, hit) {
+    // Clock reading of the emitting observer, zeroed at the start of its worldline
+    if (!worldlines.includes(emitter.owner)) return point.ct;
+    
+    let points = emitter.owner.points;
+    let index = hit ? hit.segment.index : emitter.index;
+    let before = calculateProperTime(points.slice(0, index + 1)).tau;
+    if (!hit) return before;
+    let p1 = points[index];
+    let p2 = points[index + 1];
+    let segmentTau = Relativity.properTime(p2.x - p1.x, p2.ct - p1.ct);
+    return before + hit.s * segmentTau;
+}
+
+function segmentVelocity(segment) {
+    return (segment.p2.x - segment.p1.x) / (segment.p2.ct - segment.p1.ct);
+}
+
+function radarMeasurement(signal) {
+    let trace = traceSignal(signal);
+    let reflection = trace.hits[0];
+    if (!reflection || reflection.segment.owner === trace.emitter.owner) return {trace: trace};
+    
+    let result = {trace: trace, reflection: reflection};
+    let echo = trace.hits[1];
+    if (echo && echo.segment.owner === trace.emitter.owner) {
+        // t = (τ₁ + τ₂)/2 and d = (τ₂ - τ₁)/2 on the emitter's own clock
+        let tau1 = emitterProperTime(trace.emitter, signal.source, null);
+        let tau2 = emitterProperTime(trace.emitter, echo.point, echo);
+        result.radarTime = (tau1 + tau2) / 2;
+        result.radarDistance = (tau2 - tau1) / 2;
+    }
+    
+    // Bondi k between the emitter and the reflector, using their velocities where the signal
+    // leaves and arrives; positive separation speed means they are moving apart
+    let emitterBeta = 0;
+    if (worldlines.includes(trace.emitter.owner) && trace.emitter.owner.points.length >= 2) {
+        let points = trace.emitter.owner.points;
+        let index = Math.min(trace.emitter.index, points.length - 2);
+        emitterBeta = segmentVelocity({p1: points[index], p2: points[index + 1]});
+    }
+    let reflectorBeta = segmentVelocity(reflection.segment);
+    let relativeBeta = Relativity.relativeVelocity(reflectorBeta, emitterBeta);
+    let separation = signal.direction * relativeBeta;
+    if (Math.abs(separation) < 1) {
+        result.k = Relativity.dopplerFactor(separation);
+        result.separation = separation;
+    }
+    return result;
+}
+
+function setSignalMode(direction) {
+    // Emitting replaces any worldline tool that was active
+    let next = signalMode === direction ? null : direction;
+    if (worldlineMode !== 'none') setWorldlineMode(worldlineMode);
+    signalMode = next;
+    updateSignalButtons();
+}
+
+function updateSignalButtons() {
+    document.getElementById('emitLeft').classList.toggle('btn-primary', signalMode === -1);
+    document.getElementById('emitRight').classList.toggle('btn-primary', signalMode === 1);
+    document.getElementById('signalStatus').textContent = signalMode === null ?
+        `${signals.length} signal${signals.length === 1 ? '' : 's'}` :
+        `Click an event to send a light signal ${signalMode === 1 ? 'right' : 'left'}`;
+}
+
+function updateRadarInfo() {
+    let radarInfo = document.getElementById('radarInfo');
+    if (signals.length === 0) {
+        radarInfo.textContent = 'Emit a light signal from an event';
+        return;
+    }
+    
+    radarInfo.innerHTML = signals.map(signal => {
+        let measurement = radarMeasurement(signal);
+        let name = `${escapeHtml(signal.source.label)} ${signal.direction === 1 ? '→' : '←'}`;
+        if (!measurement.reflection) {
+            return `<div>${name}: no worldline in the way</div>`;
+        }
+        
+        let r = measurement.reflection.point;
+        let lines = [`${name} reflects off ${escapeHtml(measurement.reflection.segment.owner.label)} ` +
+            `at (${r.x.toFixed(2)}, ${r.ct.toFixed(2)})`];
+        if (measurement.radarTime !== undefined) {
+            lines.push(`radar time = ${measurement.radarTime.toFixed(2)}, radar distance = ${measurement.radarDistance.toFixed(2)}`);
+        } else {
+            lines.push('echo does not return to the emitter');
+        }
+        if (measurement.k !== undefined) {
+            lines.push(`k = ${measurement.k.toFixed(3)} (${measurement.separation >= 0 ? 'receding' : 'approaching'} ` +
+                `at β = ${Math.abs(measurement.separation).toFixed(3)})`);
+        }
+        return `<div style="margin-bottom: 6px;">${lines.join('<br>')}</div>`;
+    }).join('');
+}
+
+// ===== TACHYONS =====
+function tachyonPair() {
+    // The selected pair ordered cause-first in S; null unless a boost along x can reverse it
+    let pair = getSelectedPair();
+    if (!pair) return null;
+    let [cause, effect] = pair[1].ct < pair[0].ct ? [pair[1], pair[0]] : pair;
+    let dx = effect.x - cause.x;
+    let dct = effect.ct - cause.ct;
+    if (Math.abs(dx) <= dct + LIGHTLIKE_TOLERANCE) return null;
+    
+    // Δct' = γ(Δct - βΔx) changes sign at β = Δct/Δx; beyond it, toward the effect, the order reverses
+    let critical = dct / dx;
+    return {
+        cause: cause,
+        effect: effect,
+        speed: dct === 0 ? Infinity : Math.abs(dx) / dct,
+        critical: critical,
+        low: dx > 0 ? critical : -1,
+        high: dx > 0 ? 1 : critical
+    };
+}
+
+function reversesOrder(tachyon, frameBeta) {
+    return frameBeta > tachyon.low && frameBeta < tachyon.high;
+}
+
+function reversalBeta(tachyon) {
+    // Halfway from the critical velocity to the slider limit, or null if out of reach
+    let limit = tachyon.high === 1 ? MAX_BETA : -MAX_BETA;
+    if (!reversesOrder(tachyon, limit)) return null;
+    return (tachyon.critical + limit) / 2;
+}
+
+function tachyonReturnBeta(tachyon) {
+    // The reply is instantaneous in S' when S' reverses the order, otherwise in a frame that does
+    return reversesOrder(tachyon, beta) ? beta : reversalBeta(tachyon);
+}
+
+function tachyonLoopArrival(tachyon, returnBeta) {
+    // Instantaneous in the return frame: along its line of simultaneity ct - ct_B = β(x - x_B)
+    let cause = tachyon.cause;
+    let effect = tachyon.effect;
+    return {x: cause.x, ct: effect.ct + returnBeta * (cause.x - effect.x)};
+}
+
+function advanceBoostAnimation(seconds) {
+    boostAnimation.elapsed += seconds;
+    let progress = Math.min(1, boostAnimation.elapsed / BOOST_ANIMATION_TIME);
+    let eased = progress * progress * (3 - 2 * progress); // smoothstep
+    setVelocity(Relativity.betaFromRapidity(boostAnimation.from + (boostAnimation.to - boostAnimation.from) * eased));
+    compositionSteps = [];
+    
+    if (progress === 1) {
+        boostAnimation = null;
+        recordHistory();
+    }
+    updateInfo();
+}
+
+function drawTachyonSignal(from, to) {
+    stroke(colors.tachyon);
+    strokeWeight(2);
+    strokeDash(8, 4);
+    worldLine(from.x, from.ct, to.x, to.ct);
+    noStrokeDash();
+    
+    // Arrowhead at the receiving end
+    let start = toScreen(from.x, from.ct);
+    let end = toScreen(to.x, to.ct);
+    let length = dist(start.x, start.y, end.x, end.y);
+    if (length < 1) return;
+    let back = Math.min(30, length) / length;
+    drawArrow(end.x + (start.x - end.x) * back, end.y + (start.y - end.y) * back, end.x, end.y, colors.tachyon);
+}
+
+function drawTachyons() {
+    let tachyon = tachyonPair();
+    if (!tachyon) return;
+    drawTachyonSignal(tachyon.cause, tachyon.effect);
+    
+    // In the displayed frame the effect may now come first
+    let cause = boostCoords(tachyon.cause.x, tachyon.cause.ct, viewRapidity);
+    let effect = boostCoords(tachyon.effect.x, tachyon.effect.ct, viewRapidity);
+    let screen = toScreen(tachyon.effect.x, tachyon.effect.ct);
+    if (effect.ct < cause.ct - LIGHTLIKE_TOLERANCE) {
+        noStroke();
+        fill(colors.tachyon);
+        textAlign(CENTER, TOP);
+        textSize(12);
+        text('received before sent', screen.x, screen.y + 14);
+    }
+    
+    if (!showTachyonLoop) return;
+    let returnBeta = tachyonReturnBeta(tachyon);
+    if (returnBeta === null) return;
+    let arrival = tachyonLoopArrival(tachyon, returnBeta);
+    drawTachyonSignal(tachyon.effect, arrival);
+    
+    // The sender at rest waits from the reply's arrival until it fires the original signal
+    stroke(colors.tachyon[0], colors.tachyon[1], colors.tachyon[2], 120);
+    strokeWeight(3);
+    worldLine(arrival.x, arrival.ct, tachyon.cause.x, tachyon.cause.ct);
+    
+    let arrivalScreen = toScreen(arrival.x, arrival.ct);
+    noFill();
+    stroke(colors.tachyon);
+    strokeWeight(2);
+    rect(arrivalScreen.x - 5, arrivalScreen.y - 5, 10, 10);
+    noStroke();
+    fill(colors.tachyon);
+    textAlign(LEFT, CENTER);
+    textSize(12);
+    text('reply arrives', arrivalScreen.x + 10, arrivalScreen.y);
+}
+
+function updateTachyonInfo() {
+    let info = document.getElementById('tachyonInfo');
+    let tachyon = tachyonPair();
+    if (!tachyon) {
+        info.textContent = 'Select a pair of events separated by more space than time along x';
+        return;
+    }
+    
+    let cause = escapeHtml(tachyon.cause.label);
+    let effect = escapeHtml(tachyon.effect.label);
+    let speed = tachyon.speed === Infinity ? '∞' : tachyon.speed.toFixed(2) + 'c';
+    let dctPrime = Relativity.boost(tachyon.effect.x - tachyon.cause.x, tachyon.effect.ct - tachyon.cause.ct, beta).ct;
+    let order = reversesOrder(tachyon, beta) ?
+        `<span style="color: #ff8a80;">In S' (β = ${beta.toFixed(2)}) ${effect} happens first: Δct' = ${dctPrime.toFixed(2)}</span>` :
+        `In S' (β = ${beta.toFixed(2)}) ${cause} still happens first: Δct' = ${dctPrime.toFixed(2)}`;
+    let lines = [
+        `Tachyon ${cause} → ${effect} at ${speed}`,
+        `Order reverses for ${tachyon.low.toFixed(3)} < β < ${tachyon.high.toFixed(3)}`,
+        order
+    ];
+    
+    if (showTachyonLoop) {
+        let returnBeta = tachyonReturnBeta(tachyon);
+        if (returnBeta === null) {
+            lines.push('No reachable frame closes the loop');
+        } else {
+            let arrival = tachyonLoopArrival(tachyon, returnBeta);
+            lines.push(`Reply sent instantaneously in the β = ${returnBeta.toFixed(2)} frame reaches x = ${arrival.x.toFixed(2)} ` +
+                `at ct = ${arrival.ct.toFixed(2)}, ${(tachyon.cause.ct - arrival.ct).toFixed(2)} before ${cause} fired`);
+        }
+    }
+    info.innerHTML = lines.join('<br>');
+}
+
+// ===== CONSTRAINED DRAGGING =====
+
+function dragReferenceFor(event) {
+    let chosen = events[parseInt(document.getElementById('dragReference').value)];
+    if (chosen && chosen !== event) return chosen;
+    
+    // Otherwise the other end of the selected pair, or any other event
+    let pair = getSelectedPair();
+    if (pair && pair.includes(event)) return pair[0] === event ? pair[1] : pair[0];
+    return events.find(other => other !== event) || null;
+}
+
+function startDragConstraint(event) {
+    if (dragMode !== 'lightcone' && dragMode !== 'interval') return null;
+    let reference = dragReferenceFor(event);
+    if (!reference) return null;
+    
+    // Remember Δs² and which branch of the hyperbola the event is on (dragging is 1+1D, so y plays no part)
+    let dx = event.x - reference.x;
+    let dct = event.ct - reference.ct;
+    return {
+        reference: reference,
+        k: dx * dx - dct * dct,
+        side: Math.abs(dx) >= Math.abs(dct) ? (Math.sign(dx) || 1) : (Math.sign(dct) || 1),
+        ray: Math.sign(dx * dct) || 1
+    };
+}
+
+function constrainDrag(position, constraint) {
+    if (dragMode === 'grid') {
+        let spacing = gridSpacing();
+        return {x: Math.round(position.x / spacing) * spacing, ct: Math.round(position.ct / spacing) * spacing};
+    }
+    if (!constraint) return position;
+    
+    let reference = constraint.reference;
+    let dx = position.x - reference.x;
+    let dct = position.ct - reference.ct;
+    
+    if (dragMode === 'lightcone') {
+        // Nearest point on either light ray through the reference, when it is close on screen
+        let candidates = [1, -1].map(sign => lightRayPoint(reference, sign, dx, dct));
+        let mouse = toScreen(position.x, position.ct);
+        let best = null;
+        let bestDistance = SNAP_DISTANCE;
+        for (let candidate of candidates) {
+            let screen = toScreen(candidate.x, candidate.ct);
+            let d = dist(mouse.x, mouse.y, screen.x, screen.y);
+            if (d < bestDistance) {
+                best = candidate;
+                bestDistance = d;
+            }
+        }
+        return best || position;
+    }
+    
+    // Preserve interval: slide along the hyperbola (x - x_r)² - (ct - ct_r)² = k
+    let k = constraint.k;
+    if (Math.abs(k) < LIGHTLIKE_TOLERANCE) {
+        return lightRayPoint(reference, constraint.ray, dx, dct);
+    }
+    if (k > 0) {
+        let a = Math.sqrt(k);
+        let u = Math.asinh(dct / a);
+        return {x: reference.x + constraint.side * a * Math.cosh(u), ct: reference.ct + a * Math.sinh(u)};
+    }
+    let a = Math.sqrt(-k);
+    let u = Math.asinh(dx / a);
+    return {x: reference.x + a * Math.sinh(u), ct: reference.ct + constraint.side * a * Math.cosh(u)};
+}
+
+function lightRayPoint(reference, sign, dx, dct) {
+    // Projection onto the ray x - x_r = sign·(ct - ct_r)
+    let t = (sign * dx + dct) / 2;
+    return {x: reference.x + sign * t, ct: reference.ct + t};
+}
+
+function renderDragReferenceOptions() {
+    let select = document.getElementById('dragReference');
+    let current = select.value;
+    select.innerHTML = '<option value="">Other event of the pair</option>' + events.map((event, index) =>
+        `<option value="${index}">${escapeHtml(event.label)}</option>`
+    ).join('');
+    select.value = events[parseInt(current)] ? current : '';
+}
+
+// ===== KEYBOARD ACCESS =====
+
+function setupCanvasAccessibility() {
+    // Make the canvas a tab stop that screen readers describe
+    let elt = canvas.elt;
+    elt.setAttribute('tabindex', '0');
+    elt.setAttribute('role', 'application');
+    elt.setAttribute('aria-label', 'Minkowski diagram. Tab moves between events, arrow keys move the focused event ' +
+        '(hold Shift for fine steps), Enter on two events selects them as a pair, Escape leaves the diagram.');
+    elt.addEventListener('keydown', handleCanvasKey);
+    
+    // A held arrow key repeats many nudges; they become one undo step once the key is released
+    elt.addEventListener('keyup', function(e) {
+        if (e.key.startsWith('Arrow')) recordHistory();
+    });
+    elt.addEventListener('blur', recordHistory);
+    elt.addEventListener('focus', function() {
+        if (!events.includes(focusedEvent)) focusedEvent = null;
+        announce(focusedEvent ? describeEvent(focusedEvent) : `${events.length} events. Press Tab to move to the first.`);
+    });
+}
+
+function handleCanvasKey(e) {
+    if (e.key === 'Tab') {
+        let index = events.indexOf(focusedEvent);
+        if (e.shiftKey) {
+            index = index === -1 ? events.length - 1 : index - 1;
+        } else {
+            index++;
+        }
+        
+        // Past either end, let focus leave the canvas as usual
+        if (index < 0 || index >= events.length) {
+            focusedEvent = null;
+            return;
+        }
+        focusedEvent = events[index];
+        announce(describeEvent(focusedEvent));
+        e.preventDefault();
+        return;
+    }
+    
+    if (e.key === 'Escape') {
+        focusedEvent = null;
+        pairAnchor = null;
+        canvas.elt.blur();
+        return;
+    }
+    
+    if (!focusedEvent) return;
+    
+    // Snapping to the grid would undo any step shorter than one cell
+    let step = dragMode === 'grid' ? gridSpacing() : e.shiftKey ? FINE_NUDGE_STEP : NUDGE_STEP;
+    let moves = {ArrowLeft: [-step, 0], ArrowRight: [step, 0], ArrowUp: [0, step], ArrowDown: [0, -step]};
+    if (moves[e.key]) {
+        // Step along the axes of the frame being viewed, then apply the drag mode as a pointer drag does
+        let screen = toScreen(focusedEvent.x, focusedEvent.ct);
+        let target = toWorld(screen.x + moves[e.key][0] * scale, screen.y - moves[e.key][1] * scale);
+        let position = constrainDrag(target, startDragConstraint(focusedEvent));
+        focusedEvent.x = position.x;
+        focusedEvent.ct = position.ct;
+        updateEventEditorValues();
+        updateInfo();
+    } else if (e.key === 'Enter' || e.key === ' ') {
+        // The first Enter picks one end of the pair, the second completes it
+        if (events.includes(pairAnchor) && pairAnchor !== focusedEvent) {
+            selectPair(events.indexOf(pairAnchor), events.indexOf(focusedEvent));
+            pairAnchor = null;
+            announce(describeSelectedPair());
+        } else {
+            pairAnchor = focusedEvent;
+            announce(`${focusedEvent.label} chosen. Move to another event and press Enter to select the pair.`);
+        }
+    } else {
+        return;
+    }
+    e.preventDefault();
+}
+
+function describeEvent(event) {
+    let y = spaceMode === '3d' ? `, y ${event.y.toFixed(2)}` : '';
+    return `Event ${event.label} at x ${event.x.toFixed(2)}${y}, ct ${event.ct.toFixed(2)}`;
+}
+
+function describeSelectedPair() {
+    let pair = getSelectedPair();
+    if (!pair) return 'No pair of events selected';
+    let interval = calculateInterval(pair[0], pair[1]);
+    return `Interval ${pair[0].label} to ${pair[1].label}: Δs² = ${interval.toFixed(2)}, ` +
+        classifyInterval(interval).description;
+}
+
+function announce(message) {
+    document.getElementById('canvasAnnouncer').textContent = message;
+}
+
+function scheduleAnnouncement() {
+    // Wait for drags and key repeats to settle so the region is not flooded
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(function() {
+        if (!events.includes(focusedEvent)) focusedEvent = null;
+        let parts = focusedEvent ? [describeEvent(focusedEvent)] : [];
+        parts.push(describeSelectedPair());
+        announce(parts.join('. '));
+    }, ANNOUNCE_DELAY);
+}
+
+// ===== TOUCH =====
+function pressCanvas(x, y, pointerType) {
+    // Each finger gets its own grab so several can drag at once
+    if (spaceMode === '3d') {
+        let last = {x: x, y: y};
+        return {
+            move(px, py) {
+                camYaw -= (px - last.x) * 0.01;
+                camPitch = constrain(camPitch + (py - last.y) * 0.01, -1.5, 1.5);
+                last = {x: px, y: py};
+            },
+            end() {}
+        };
+    }
+    
+    if (worldlineMode === 'freehand') {
+        // Drawn as the worldline in progress, like a mouse stroke
+        let worldline = createWorldline([toWorld(x, y)]);
+        currentWorldline = worldline;
+        return {
+            move(px, py) {
+                // A mode change or undo mid-stroke has already finished or dropped this stroke
+                if (currentWorldline !== worldline) return;
+                let point = toWorld(px, py);
+                let last = worldline.points[worldline.points.length - 1];
+                let lastScreen = toScreen(last.x, last.ct);
+                if (dist(px, py, lastScreen.x, lastScreen.y) >= 10 && isTimelikeSegment(last, point)) {
+                    worldline.points.push(point);
+                }
+            },
+            end() {
+                if (currentWorldline === worldline) finishWorldline();
+                recordHistory();
+            }
+        };
+    }
+    
+    let event = eventAt(x, y, pointerHitRadius(pointerType));
+    if (event) {
+        if (clickEventInMode(event)) {
+            recordHistory();
+            return null;
+        }
+        let constraint = startDragConstraint(event);
+        event.dragged = true;
+        focusedEvent = event;
+        return {
+            move(px, py) {
+                let position = constrainDrag(toWorld(px, py), constraint);
+                event.x = position.x;
+                event.ct = position.ct;
+                updateEventEditorValues();
+                updateInfo();
+            },
+            end() {
+                event.dragged = false;
+                recordHistory();
+            }
+        };
+    }
+    
+    // Empty space pans the diagram
+    let last = {x: x, y: y};
+    return {
+        move(px, py) {
+            offsetX += px - last.x;
+            offsetY += py - last.y;
+            last = {x: px, y: py};
+        },
+        end() {}
+    };
+}
+
+function canvasActionsAt(x, y, pointerType) {
+    if (spaceMode === '3d') return null;
+    let event = eventAt(x, y, pointerHitRadius(pointerType));
+    if (!event) return null;
+    
+    return [
+        {label: `Delete ${event.label}`, run() {
+            deleteEvent(event);
+            recordHistory();
+        }},
+        {label: 'Rename…', run() {
+            let label = prompt('New label for this event:', event.label);
+            if (label === null || label.trim() === '') return;
+            event.label = label.trim();
+            renderEventEditor();
+            updateInfo();
+            recordHistory();
+        }},
+        {label: event.showCone ? 'Hide light cone' : 'Show light cone', run() {
+            event.showCone = !event.showCone;
+        }}
+    ];
+}
+
+// Touches on the canvas are handled by the pointer handlers above;
+// returning false stops p5 from also treating them as mouse presses
+function touchStarted(e) {
+    if (e && e.target === canvas.elt) return false;
+}
+
+function touchMoved(e) {
+    if (e && e.target === canvas.elt) return false;
+}
+
+function touchEnded(e) {
+    if (e && e.target === canvas.elt) return false;
+}
+
+// ===== UNDO / REDO =====
+
+function historyState() {
+    // The scene without the view and display settings, which are not undone
+    let scene = serializeScene();
+    delete scene.view;
+    delete scene.display;
+    delete scene.viewFrame;
+    delete scene.sweep;
+    return JSON.stringify(scene);
+}
+
+function recordHistory() {
+    // Called once an interaction settles; only real changes become undo steps
+    let state = historyState();
+    if (lastHistoryState === null) {
+        lastHistoryState = state;
+    } else if (state !== lastHistoryState) {
+        undoStack.push(lastHistoryState);
+        if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+        redoStack = [];
+        lastHistoryState = state;
+    }
+    updateHistoryButtons();
+}
+
+function restoreHistoryState(state) {
+    // Keep the current view, display options and time sweep
+    let scene = JSON.parse(state);
+    let current = serializeScene();
+    scene.view = current.view;
+    scene.display = current.display;
+    scene.viewFrame = current.viewFrame;
+    scene.sweep = current.sweep;
+    applyScene(scene);
+    lastHistoryState = state;
+    updateHistoryButtons();
+}
+
+function undo() {
+    recordHistory();
+    if (undoStack.length === 0) return;
+    redoStack.push(lastHistoryState);
+    restoreHistoryState(undoStack.pop());
+}
+
+function redo() {
+    recordHistory();
+    if (redoStack.length === 0) return;
+    undoStack.push(lastHistoryState);
+    restoreHistoryState(redoStack.pop());
+}
+
+function updateHistoryButtons() {
+    document.getElementById('undo').disabled = undoStack.length === 0;
+    document.getElementById('redo').disabled = redoStack.length === 0;
+}
+
+// ===== SCENE PERSISTENCE =====
+
+function serializeScene() {
+    return {
+        version: SCENE_VERSION,
+        events: events.map(event => ({
+            label: event.label,
+            x: event.x,
+            y: event.y,
+            ct: event.ct,
+            color: event.color.slice(0, 3).map(Math.round)
+        })),
+        // Vertices that are events are stored by index so they stay attached
+        worldlines: worldlines.map(worldline => ({
+            label: worldline.label,
+            points: worldline.points.map(point =>
+                events.includes(point) ? {event: events.indexOf(point)} : {x: point.x, ct: point.ct}
+            )
+        })),
+        rindler: rindlerObservers.map(observer => ({
+            label: observer.label,
+            x: observer.x,
+            ct: observer.ct,
+            acceleration: observer.acceleration
+        })),
+        signals: signals.map(signal => ({event: events.indexOf(signal.source), direction: signal.direction})),
+        frames: frames.map(frame => ({
+            label: frame.label,
+            beta: frame.beta,
+            parent: frame.parent,
+            color: frame.color.slice(0, 3).map(Math.round)
+        })),
+        objects: sceneObjects.map(object => ({
+            type: object.type,
+            label: object.label,
+            x: object.x,
+            beta: object.beta,
+            length: object.length
+        })),
+        sweep: {frame: sweepFrame, time: sweepTime, show: showSweep},
+        beta: beta,
+        viewFrame: viewFrame,
+        display: {
+            showGrid: showGrid,
+            showLightCones: showLightCones,
+            showTransformed: showTransformed,
+            showPrimedGrid: showPrimedGrid,
+            showHyperbolae: showHyperbolae,
+            showTachyons: showTachyons,
+            showTachyonLoop: showTachyonLoop
+        },
+        view: {scale: scale, offsetX: offsetX, offsetY: offsetY}
+    };
+}
+
+function applyScene(scene) {
+    if (!scene || scene.version !== SCENE_VERSION) {
+        throw new Error('unsupported scene format');
+    }
+    if (!Array.isArray(scene.events)) {
+        throw new Error('scene has no event list');
+    }
+    
+    let loadedEvents = scene.events.map(event => {
+        let x = Number(event.x);
+        let y = Number(event.y || 0);
+        let ct = Number(event.ct);
+        if (!isFinite(x) || !isFinite(y) || !isFinite(ct)) throw new Error('event coordinates must be numbers');
+        return {
+            x: x,
+            y: y,
+            ct: ct,
+            color: Array.isArray(event.color) ? event.color.slice(0, 3).map(Number) : colors.eventA,
+            label: String(event.label || '?'),
+            dragged: false
+        };
+    });
+    
+    let loadedWorldlines = (scene.worldlines || []).map(worldline => {
+        if (!worldline || !Array.isArray(worldline.points)) throw new Error('worldline has no point list');
+        return {
+            label: String(worldline.label || 'W'),
+            color: colors.worldline,
+            points: worldline.points.map(point => {
+                if (!point || typeof point !== 'object') throw new Error('worldline points must be objects');
+                if (point.event !== undefined) {
+                    if (!loadedEvents[point.event]) throw new Error('worldline refers to a missing event');
+                    return loadedEvents[point.event];
+                }
+                let x = Number(point.x);
+                let ct = Number(point.ct);
+                if (!isFinite(x) || !isFinite(ct)) throw new Error('worldline point coordinates must be numbers');
+                return {x: x, ct: ct};
+            })
+        };
+    });
+    
+    let loadedRindler = (scene.rindler || []).map(observer => {
+        let x = Number(observer.x);
+        let ct = Number(observer.ct);
+        let acceleration = Number(observer.acceleration);
+        if (!isFinite(x) || !isFinite(ct)) throw new Error('observer start event must be numbers');
+        if (!isFinite(acceleration) || acceleration === 0) throw new Error('observer acceleration must be non-zero');
+        return {label: String(observer.label || 'R'), x: x, ct: ct, acceleration: acceleration};
+    });
+    
+    let loadedSignals = (scene.signals || []).map(signal => {
+        if (!loadedEvents[signal.event]) throw new Error('signal refers to a missing event');
+        return {source: loadedEvents[signal.event], direction: signal.direction < 0 ? -1 : 1};
+    });
+    
+    // Each frame may only refer to S, S' or a frame defined before it
+    let loadedFrames = [];
+    for (let frame of scene.frames || []) {
+        let frameBeta = Number(frame.beta);
+        let known = ['S', "S'"].concat(loadedFrames.map(f => f.label));
+        if (!(Math.abs(frameBeta) < 1)) throw new Error('frame velocity must satisfy |β| < 1');
+        if (!known.includes(frame.parent)) throw new Error('frame refers to an unknown parent frame');
+        if (!/^S'{2,}$/.test(frame.label) || known.includes(frame.label)) throw new Error('invalid frame label');
+        loadedFrames.push({
+            label: frame.label,
+            beta: frameBeta,
+            parent: frame.parent,
+            color: Array.isArray(frame.color) ? frame.color.slice(0, 3).map(Number) : colors.framePalette[0]
+        });
+    }
+    
+    let loadedObjects = (scene.objects || []).map(object => {
+        let x = Number(object.x);
+        let objectBeta = Number(object.beta);
+        let length = Number(object.length) || 0;
+        if (object.type !== 'rod' && object.type !== 'clock') throw new Error('unknown object type');
+        if (!isFinite(x) || !(Math.abs(objectBeta) < 1)) throw new Error('object position and velocity must be valid');
+        if (object.type === 'rod' && !(length > 0)) throw new Error('rod length must be positive');
+        return {type: object.type, label: String(object.label || object.type), x: x, beta: objectBeta, length: length};
+    });
+    
+    // Only replace the current scene once everything has validated
+    events = loadedEvents;
+    worldlines = loadedWorldlines;
+    rindlerObservers = loadedRindler;
+    signals = loadedSignals;
+    frames = loadedFrames;
+    sceneObjects = loadedObjects;
+    currentWorldline = null;
+    selectedPair = null;
+    compositionSteps = [];
+    setVelocity(Number(scene.beta) || 0);
+    
+    viewFrame = scene.viewFrame === "S'" ? "S'" : 'S';
+    viewRapidity = viewFrame === 'S' ? 0 : rapidity;
+    document.getElementById('viewPrimed').checked = viewFrame !== 'S';
+    
+    let display = scene.display || {};
+    showGrid = display.showGrid !== false;
+    showLightCones = display.showLightCones !== false;
+    showTransformed = display.showTransformed !== false;
+    showPrimedGrid = display.showPrimedGrid === true;
+    showHyperbolae = display.showHyperbolae === true;
+    showTachyons = display.showTachyons === true;
+    showTachyonLoop = display.showTachyonLoop === true;
+    boostAnimation = null;
+    document.getElementById('showGrid').checked = showGrid;
+    document.getElementById('showLightCones').checked = showLightCones;
+    document.getElementById('showTransformed').checked = showTransformed;
+    document.getElementById('showPrimedGrid').checked = showPrimedGrid;
+    document.getElementById('showHyperbolae').checked = showHyperbolae;
+    document.getElementById('showTachyons').checked = showTachyons;
+    document.getElementById('showTachyonLoop').checked = showTachyonLoop;
+    
+    let sweep = scene.sweep || {};
+    sweepFrame = frameLabels().includes(sweep.frame) ? sweep.frame : 'S';
+    sweepTime = isFinite(sweep.time) ? constrain(Number(sweep.time), SWEEP_MIN, SWEEP_MAX) : 0;
+    showSweep = sweep.show === true;
+    document.getElementById('showSweep').checked = showSweep;
+    setSweepPlaying(false);
+    updateSweepControls();
+    
+    // A view with any missing or non-numeric part falls back to the default zoom
+    let view = scene.view || {};
+    let viewScale = Number(view.scale);
+    let viewOffsetX = Number(view.offsetX);
+    let viewOffsetY = Number(view.offsetY);
+    if (isFinite(viewScale) && isFinite(viewOffsetX) && isFinite(viewOffsetY)) {
+        scale = constrain(viewScale, MIN_SCALE, MAX_SCALE);
+        offsetX = viewOffsetX;
+        offsetY = viewOffsetY;
+    } else {
+        resetZoom();
+    }
+    
+    renderEventEditor();
+    renderFrameEditor();
+    updateInfo();
+}
+
+function exportScene() {
+    let json = JSON.stringify(serializeScene(), null, 2);
+    let blob = new Blob([json], {type: 'application/json'});
+    let link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'spacetime-scene.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function encodeSceneHash() {
+    // Base64 of the UTF-8 JSON keeps labels like S' and τ intact in the URL
+    let json = JSON.stringify(serializeScene());
+    return 'scene=' + btoa(unescape(encodeURIComponent(json)));
+}
+
+function shareScene() {
+    let hash = encodeSceneHash();
+    history.replaceState(null, '', '#' + hash);
+    let link = location.href;
+    
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(link).then(
+            () => alert('Share link copied to clipboard!'),
+            () => prompt('Copy this link to share the scene:', link)
+        );
+    } else {
+        prompt('Copy this link to share the scene:', link);
+    }
+}
+
+function loadSceneFromHash() {
+    let match = location.hash.match(/scene=([^&]+)/);
+    if (!match) return;
+    
+    try {
+        let json = decodeURIComponent(escape(atob(decodeURIComponent(match[1]))));
+        applyScene(JSON.parse(json));
+        if (lastHistoryState !== null) recordHistory();
+    } catch (error) {
+        alert(`Could not open the shared scene: ${error.message}`);
+    }
 }
 
 // Make functions available globally for HTML event handlers
@@ -439,3 +3369,7 @@ window.draw = draw;
 window.mousePressed = mousePressed;
 window.mouseDragged = mouseDragged;
 window.mouseReleased = mouseReleased;
+window.mouseWheel = mouseWheel;
+window.touchStarted = touchStarted;
+window.touchMoved = touchMoved;
+window.touchEnded = touchEnded;
@@ -0,0 +1,185 @@
+// Tests for the shared relativity math library (run with npm test)
+const test = require('node:test');
+const assert = require('node:assert');
+const Relativity = require('../relativity.js');
+
+const EPSILON = 1e-9;
+
+function assertClose(actual, expected, tolerance = EPSILON) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+test('gamma', () => {
+    assertClose(Relativity.gamma(0), 1);
+    assertClose(Relativity.gamma(0.6), 1.25);
+    assertClose(Relativity.gamma(-0.8), 5 / 3);
+    assert.throws(() => Relativity.gamma(1), RangeError);
+    assert.throws(() => Relativity.gamma(-1.2), RangeError);
+    assertClose(Relativity.betaFromGamma(1.25), 0.6);
+});
+
+test('boost and its inverse', () => {
+    const primed = Relativity.boost(5, 2, 0.6);
+    assertClose(primed.x, 1.25 * (5 - 0.6 * 2));
+    assertClose(primed.ct, 1.25 * (2 - 0.6 * 5));
+    
+    const back = Relativity.boost(primed.x, primed.ct, -0.6);
+    assertClose(back.x, 5);
+    assertClose(back.ct, 2);
+    
+    // The rapidity form gives the same coordinates
+    const byRapidity = Relativity.boostByRapidity(5, 2, Relativity.rapidity(0.6));
+    assertClose(byRapidity.x, primed.x);
+    assertClose(byRapidity.ct, primed.ct);
+});
+
+test('lorentzTransform in SI units', () => {
+    const c = Relativity.C;
+    const primed = Relativity.lorentzTransform(0, 3, 0.6 * c, c);
+    assertClose(primed.t, 3.75);
+    assertClose(primed.x, -1.25 * 0.6 * c * 3, 1e-6);
+});
+
+test('interval is invariant and classified by sign', () => {
+    const s2 = Relativity.interval(3, 5);
+    assertClose(s2, -16);
+    const primed = Relativity.boost(3, 5, 0.7);
+    assertClose(Relativity.interval(primed.x, primed.ct), s2);
+    
+    assert.strictEqual(Relativity.classifyInterval(-16), 'timelike');
+    assert.strictEqual(Relativity.classifyInterval(16), 'spacelike');
+    assert.strictEqual(Relativity.classifyInterval(Relativity.interval(4, 4)), 'lightlike');
+    assertClose(Relativity.properTime(3, 5), 4);
+    assert.ok(Number.isNaN(Relativity.properTime(5, 3)));
+});
+
+test('velocity addition', () => {
+    assertClose(Relativity.addVelocities(0.5, 0.5), 0.8);
+    assertClose(Relativity.addVelocities(1, 0.9), 1);
+    assertClose(Relativity.relativeVelocity(0.7, 0.7), 0);
+    assertClose(Relativity.relativeVelocity(Relativity.addVelocities(0.3, 0.4), 0.4), 0.3);
+});
+
+test('frame conversion', () => {
+    // Going S' → S'' by rapidity difference matches boosting straight from S
+    const inFirst = Relativity.boost(2, 7, 0.5);
+    const direct = Relativity.boost(2, 7, -0.3);
+    const converted = Relativity.transformBetweenFrames(inFirst.x, inFirst.ct, 0.5, -0.3);
+    assertClose(converted.x, direct.x);
+    assertClose(converted.ct, direct.ct);
+    
+    // Boosting a four-vector leaves y alone and keeps its Minkowski norm
+    const v = Relativity.fourVector(7, 2, 1);
+    const boosted = Relativity.boostFourVector(v, 0.5);
+    assertClose(boosted.ct, inFirst.ct);
+    assertClose(boosted.x, inFirst.x);
+    assertClose(boosted.y, 1);
+    assertClose(Relativity.minkowskiDot(boosted, boosted), Relativity.minkowskiDot(v, v));
+});
+
+test('4×4 boosts', () => {
+    // Along x the matrix agrees with the 2D boost and leaves y alone
+    const inFirst = Relativity.boost(2, 7, 0.5);
+    const v = Relativity.transformFourVector(Relativity.boostMatrix(0.5), Relativity.fourVector(7, 2, 1));
+    assertClose(v.ct, inFirst.ct);
+    assertClose(v.x, inFirst.x);
+    assertClose(v.y, 1);
+    
+    // Any boost, and any product of boosts, preserves the Minkowski product
+    const a = Relativity.fourVector(3, 1, -2, 0.5);
+    const b = Relativity.fourVector(-1, 4, 0.3, 2);
+    const lambda = Relativity.multiplyMatrices(Relativity.boostMatrix(0.1, -0.4, 0.7), Relativity.boostMatrix(0.6, 0.2, 0));
+    const a2 = Relativity.transformFourVector(lambda, a);
+    const b2 = Relativity.transformFourVector(lambda, b);
+    assertClose(Relativity.minkowskiDot(a2, b2), Relativity.minkowskiDot(a, b));
+    assertClose(Relativity.minkowskiDot(a2, a2), Relativity.minkowskiDot(a, a));
+});
+
+test('Wigner rotation of perpendicular boosts', () => {
+    const composed = Relativity.composeBoosts([0.6, 0, 0], [0, 0.6, 0]);
+    const g = Relativity.gamma(0.6);
+    assertClose(Math.tan(composed.angle), g * g * 0.36 / (2 * g));
+    
+    // Boosting along x then y turns the frame about the z axis
+    assertClose(composed.axis[0], 0);
+    assertClose(composed.axis[1], 0);
+    assertClose(composed.axis[2], 1);
+    assertClose(composed.velocity[0], 0.6);
+    assertClose(composed.velocity[1], 0.6 / g);
+    
+    // R is orthogonal: R·Rᵀ = I
+    const r = composed.rotation;
+    for (let i = 0; i < 3; i++) {
+        for (let j = 0; j < 3; j++) {
+            const dot = r[i][0] * r[j][0] + r[i][1] * r[j][1] + r[i][2] * r[j][2];
+            assertClose(dot, i === j ? 1 : 0);
+        }
+    }
+    
+    // and Λ = R·B(u) rebuilds the composed matrix
+    const u = composed.velocity;
+    const rotation4 = [[1, 0, 0, 0]].concat(r.map(row => [0].concat(row)));
+    const rebuilt = Relativity.multiplyMatrices(rotation4, Relativity.boostMatrix(u[0], u[1], u[2]));
+    rebuilt.forEach((row, i) => row.forEach((value, j) => assertClose(value, composed.matrix[i][j])));
+});
+
+test('four-momentum', () => {
+    // From velocity: E = γm, p = γmβ
+    const fromVelocity = Relativity.fourMomentum(2, 0.6);
+    assertClose(fromVelocity.ct, 2.5);
+    assertClose(fromVelocity.x, 1.5);
+    
+    // From momentum: E = √(m² + |p|²), and a massless particle has E = |p|
+    const fromMomentum = Relativity.fourMomentumFromMomentum(2, 1.5);
+    assertClose(fromMomentum.ct, 2.5);
+    assertClose(fromMomentum.x, 1.5);
+    const photon = Relativity.fourMomentumFromMomentum(0, 3, -4);
+    assertClose(photon.ct, 5);
+    assertClose(photon.y, -4);
+    assertClose(Relativity.invariantMass(photon), 0);
+});
+
+test('invariant mass and the centre-of-momentum frame', () => {
+    const proton = 938.272;
+    const total = Relativity.sumFourVectors([Relativity.fourMomentum(proton, 0.8), Relativity.fourMomentum(proton, 0)]);
+    assertClose(Relativity.centreOfMomentumVelocity(total)[0], 0.5);
+    // M² = 2m² + 2mE with E = γm, γ = 5/3
+    assertClose(Relativity.invariantMass(total), proton * Math.sqrt(2 * (1 + 5 / 3)), 1e-6);
+    
+    // The same in every frame, including the one where the momenta cancel
+    const cm = Relativity.centreOfMomentumVelocity(total);
+    const inCm = Relativity.transformFourVector(Relativity.boostMatrix(cm[0], cm[1], cm[2]), total);
+    assertClose(inCm.x, 0, 1e-6);
+    assertClose(inCm.ct, Relativity.invariantMass(total), 1e-6);
+    
+    // Two photons heading in opposite directions have mass, though neither does alone
+    const pair = Relativity.sumFourVectors([Relativity.fourMomentumFromMomentum(0, 3), Relativity.fourMomentumFromMomentum(0, -3)]);
+    assertClose(Relativity.invariantMass(pair), 6);
+});
+
+test('threshold energy', () => {
+    const proton = 938.272;
+    // p + p → p + p + π⁰ needs about 280 MeV of kinetic energy
+    assertClose(Relativity.thresholdEnergy(proton, proton, [proton, proton, 134.977]) - proton, 279.663, 1e-3);
+    // E = (M² - m_a² - m_b²) / 2m_b for a general reaction
+    assertClose(Relativity.thresholdEnergy(1, 2, [3, 4]), (49 - 1 - 4) / 4);
+    // An exothermic reaction goes with the projectile at rest
+    assertClose(Relativity.thresholdEnergy(proton, proton, [proton]), proton);
+});
+
+test('Doppler shift and aberration', () => {
+    // Straight ahead the shift is the Bondi factor, and a source emitting at θ = 90° is blueshifted by γ
+    assertClose(Relativity.dopplerShift(0, 0.6), Relativity.dopplerFactor(0.6));
+    assertClose(Relativity.dopplerShift(Math.PI, 0.6), 1 / Relativity.dopplerFactor(0.6));
+    assertClose(Relativity.dopplerShift(Math.PI / 2, 0.6), 1.25);
+    
+    // Sources crowd forward, but the points straight ahead and behind stay put
+    assertClose(Relativity.aberrationAngle(Math.PI / 2, 0.6), Math.acos(0.6));
+    assertClose(Relativity.aberrationAngle(0, 0.6), 0);
+    assertClose(Relativity.aberrationAngle(Math.PI, 0.6), Math.PI);
+    
+    // Both forms of D agree once θ' comes from the aberration formula
+    const theta = 2;
+    const seen = Relativity.aberrationAngle(theta, 0.6);
+    assertClose(Relativity.dopplerShift(theta, 0.6), 1 / (1.25 * (1 - 0.6 * Math.cos(seen))));
+});
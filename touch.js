@@ -0,0 +1,153 @@
+// Touch and Pointer Module
+// Multi-finger dragging and long-press context menus for the p5.js canvases
+
+const LONG_PRESS_MS = 550; // hold this long without moving to open the menu
+const LONG_PRESS_SLOP = 10; // pixels a finger may wander during a long press
+
+let activeCanvasMenu = null;
+
+// Hit radius in canvas pixels; fingers need a larger target than a mouse pointer
+function pointerHitRadius(pointerType) {
+    return pointerType === 'mouse' ? 15 : 30;
+}
+
+// Route pointer input on a canvas element to the page.
+//   handlers.press(x, y, pointerType) returns a grab {move(x, y), end()} or null
+//   handlers.actionsAt(x, y, pointerType) returns [{label, run}] or null for the context menu
+// Only the listed pointer types are handled here; others are left to p5's mouse handlers.
+function setupPointerCanvas(elt, handlers, pointerTypes = ['touch', 'pen', 'mouse']) {
+    const pointers = new Map();
+    
+    // Stop the browser from scrolling or zooming while a finger is on the canvas
+    elt.style.touchAction = 'none';
+    
+    function canvasPoint(e) {
+        // Account for the canvas being scaled down by CSS on small screens
+        const rect = elt.getBoundingClientRect();
+        const logicalWidth = parseFloat(elt.style.width) || rect.width;
+        const logicalHeight = parseFloat(elt.style.height) || rect.height;
+        return {
+            x: (e.clientX - rect.left) * logicalWidth / rect.width,
+            y: (e.clientY - rect.top) * logicalHeight / rect.height
+        };
+    }
+    
+    function release(pointer) {
+        clearTimeout(pointer.timer);
+        if (pointer.grab) pointer.grab.end();
+        pointer.grab = null;
+    }
+    
+    elt.addEventListener('pointerdown', function(e) {
+        if (!pointerTypes.includes(e.pointerType) || e.button > 0) return;
+        e.preventDefault();
+        elt.setPointerCapture(e.pointerId);
+        
+        const point = canvasPoint(e);
+        const pointer = {
+            startX: point.x,
+            startY: point.y,
+            grab: handlers.press(point.x, point.y, e.pointerType),
+            timer: null
+        };
+        
+        // A long press opens the context menu instead of dragging
+        pointer.timer = setTimeout(function() {
+            const actions = handlers.actionsAt(pointer.startX, pointer.startY, e.pointerType);
+            if (!actions || actions.length === 0) return;
+            release(pointer);
+            showCanvasMenu(e.clientX, e.clientY, actions);
+        }, LONG_PRESS_MS);
+        
+        pointers.set(e.pointerId, pointer);
+    });
+    
+    elt.addEventListener('pointermove', function(e) {
+        const pointer = pointers.get(e.pointerId);
+        if (!pointer) return;
+        
+        const point = canvasPoint(e);
+        if (Math.hypot(point.x - pointer.startX, point.y - pointer.startY) > LONG_PRESS_SLOP) {
+            clearTimeout(pointer.timer);
+        }
+        if (pointer.grab) pointer.grab.move(point.x, point.y);
+    });
+    
+    function finish(e) {
+        const pointer = pointers.get(e.pointerId);
+        if (!pointer) return;
+        release(pointer);
+        pointers.delete(e.pointerId);
+    }
+    elt.addEventListener('pointerup', finish);
+    elt.addEventListener('pointercancel', finish);
+    
+    // Right-click gives mouse users the same menu as a long press
+    elt.addEventListener('contextmenu', function(e) {
+        const point = canvasPoint(e);
+        const actions = handlers.actionsAt(point.x, point.y, 'mouse');
+        if (!actions || actions.length === 0) return;
+        e.preventDefault();
+        showCanvasMenu(e.clientX, e.clientY, actions);
+    });
+}
+
+// Show a small floating menu of actions at the given viewport position
+function showCanvasMenu(clientX, clientY, actions) {
+    hideCanvasMenu();
+    
+    const menu = document.createElement('div');
+    menu.setAttribute('role', 'menu');
+    Object.assign(menu.style, {
+        position: 'fixed',
+        left: clientX + 'px',
+        top: clientY + 'px',
+        zIndex: '1000',
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '4px',
+        padding: '6px',
+        background: 'rgba(15, 25, 35, 0.95)',
+        border: '1px solid rgba(79, 195, 247, 0.5)',
+        borderRadius: '8px'
+    });
+    
+    actions.forEach(action => {
+        const button = document.createElement('button');
+        button.setAttribute('role', 'menuitem');
+        button.textContent = action.label;
+        Object.assign(button.style, {
+            minHeight: '40px', // Comfortable for a fingertip
+            padding: '8px 16px',
+            background: 'rgba(79, 195, 247, 0.15)',
+            color: 'white',
+            border: 'none',
+            borderRadius: '6px',
+            textAlign: 'left',
+            cursor: 'pointer'
+        });
+        button.addEventListener('click', function() {
+            hideCanvasMenu();
+            action.run();
+        });
+        menu.appendChild(button);
+    });
+    
+    document.body.appendChild(menu);
+    activeCanvasMenu = menu;
+    menu.firstChild.focus();
+}
+
+function hideCanvasMenu() {
+    if (!activeCanvasMenu) return;
+    activeCanvasMenu.remove();
+    activeCanvasMenu = null;
+}
+
+// Close the menu on any press outside it or on Escape
+document.addEventListener('pointerdown', function(e) {
+    if (activeCanvasMenu && !activeCanvasMenu.contains(e.target)) hideCanvasMenu();
+});
+document.addEventListener('keydown', function(e) {
+    if (e.key === 'Escape') hideCanvasMenu();
+});